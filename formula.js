@@ -76,7 +76,9 @@ function Formula() {
 		"binary decomposition",
 		"biomorphs",
 		"potential",
-		"color decomposition"
+		"color decomposition",
+		"smooth",
+		"distance"
 	];
 	Formula.plane = 0;
 	Formula.planeNames = [
@@ -89,6 +91,472 @@ function Formula() {
 		"1/(mu-1.40115)"
 	];
 
+	/*
+	 * Julia mode.
+	 * The pixel is the starting point z0 and c is the stored parameter.
+	 * Otherwise c is the pixel, the parameter plane.
+	 */
+	Formula.julia = false;
+	Formula.juliaX = 0;
+	Formula.juliaY = 0;
+
+	/*
+	 * Interior shortcuts, only with the "maxiter" incolour.
+	 * `cardioid` tests the main cardioid and period-2 bulb of formula 0 in closed form.
+	 * `periodicity` stops escape-time formulas when the orbit returns to a saved point (Brent).
+	 * The point is saved after windows of doubling length, so every cycle length is eventually caught.
+	 * Returning within `periodicityEpsilon` (sum of absolute differences) counts as interior, `iter = maxIter`.
+	 * The formulas call `periodicStart()` before and `periodicTest()` once per pass of their loop.
+	 * Formulas with a previous `z` (octo, phoenix) compare both.
+	 * Switch off to render exactly like XaoS.
+	 */
+	Formula.cardioid = true;
+	Formula.periodicity = true;
+	Formula.periodicityEpsilon = 1e-14;
+
+	/*
+	 * Saved point and window of the orbit being tested, see `periodicTest()`.
+	 */
+	Formula.periodicSaved = {re: 0, im: 0, pr: 0, pi: 0, period: 0, window: 1};
+
+	/*
+	 * Distance between screen pixels, set by the application.
+	 * The "distance" outcolour is measured in pixels, so filaments stay crisp at any zoom.
+	 */
+	Formula.pixelSize = 0.01;
+
+	/*
+	 * Deep zoom.
+	 * The reference orbit of the origin is calculated with `BigInt` fixed-point numbers.
+	 * Pixels are calculated as a double precision delta from that orbit.
+	 * Only the mandelbrot family (formulas 0-4) in the "mu" plane.
+	 */
+	Formula.reference = null;
+
+	/*
+	 * binomial(power, 1..power-1)
+	 */
+	Formula.binomial = [
+		[],
+		[],
+		[2],
+		[3, 3],
+		[4, 6, 4],
+		[5, 10, 10, 5],
+		[6, 15, 20, 15, 6]
+	];
+
+	/**
+	 * Number of fixed-point fraction bits for the given radius.
+	 *
+	 * @param {number} radius
+	 * @returns {number}
+	 */
+	Formula.precision = function (radius) {
+		return 64 + Math.max(0, Math.ceil(-Math.log2(radius)));
+	};
+
+	/**
+	 * Decimal string to fixed-point. Accepts everything `Number.toString()` produces.
+	 *
+	 * @param {string} str
+	 * @param {number} bits - fraction bits
+	 * @returns {BigInt}
+	 */
+	Formula.parseBig = function (str, bits) {
+		var match = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?\s*$/.exec(str);
+		if (!match || !(match[2] || match[3]))
+			return 0n;
+
+		var fraction = match[3] || "";
+		var exponent = (match[4] | 0) - fraction.length;
+		var digits = match[2] + fraction;
+
+		// too small to matter
+		if (exponent < -digits.length - bits)
+			return 0n;
+
+		var big = BigInt(digits) << BigInt(bits);
+		if (exponent >= 0) {
+			big *= 10n ** BigInt(exponent);
+		} else {
+			var divisor = 10n ** BigInt(-exponent);
+			big = (big + divisor / 2n) / divisor;
+		}
+
+		return match[1] === "-" ? -big : big;
+	};
+
+	/**
+	 * Fixed-point to decimal string, without trailing zeros.
+	 *
+	 * @param {BigInt} big
+	 * @param {number} bits - fraction bits
+	 * @returns {string}
+	 */
+	Formula.formatBig = function (big, bits) {
+		var sign = "";
+		if (big < 0n) {
+			sign = "-";
+			big = -big;
+		}
+
+		var shift = BigInt(bits);
+		var numDigits = Math.ceil(bits * Math.LN2 / Math.LN10);
+		var scale = 10n ** BigInt(numDigits);
+
+		var integer = big >> shift;
+		var fraction = ((big - (integer << shift)) * scale + (1n << (shift - 1n))) >> shift;
+		if (fraction >= scale) {
+			// rounding overflow
+			integer++;
+			fraction -= scale;
+		}
+
+		var str = fraction.toString().padStart(numDigits, "0").replace(/0+$/, "");
+		if (!integer && !str)
+			return "0";
+		return sign + integer.toString() + (str ? "." + str : "");
+	};
+
+	/**
+	 * Double to fixed-point, exact.
+	 *
+	 * @param {number} x
+	 * @param {number} bits - fraction bits
+	 * @returns {BigInt}
+	 */
+	Formula.doubleToBig = function (x, bits) {
+		if (!x || !Number.isFinite(x))
+			return 0n;
+
+		// scale to an integer with some margin for rounding of `log2()`
+		var e = Math.floor(Math.log2(Math.abs(x))) - 60;
+		var big = BigInt(x / Math.pow(2, e));
+
+		e += bits;
+		return e >= 0 ? big << BigInt(e) : big >> BigInt(-e);
+	};
+
+	/**
+	 * Fixed-point to double.
+	 *
+	 * @param {BigInt} big
+	 * @param {number} bits - fraction bits
+	 * @returns {number}
+	 */
+	Formula.bigToDouble = function (big, bits) {
+		// keep 64 significant bits to avoid overflowing `Number()`, small values keep their precision
+		var excess = (big < 0n ? -big : big).toString(2).length - 64;
+		if (excess > 0)
+			return Number(big >> BigInt(excess)) * Math.pow(2, excess - bits);
+		return Number(big) * Math.pow(2, -bits);
+	};
+
+	/**
+	 * Add a double offset to a decimal string with sufficient precision for radius.
+	 *
+	 * @param {string} origin
+	 * @param {number} offset
+	 * @param {number} radius
+	 * @returns {string}
+	 */
+	Formula.addOrigin = function (origin, offset, radius) {
+		var bits = Formula.precision(radius);
+
+		return Formula.formatBig(Formula.parseBig(origin, bits) + Formula.doubleToBig(offset, bits), bits);
+	};
+
+	/**
+	 * Setup the reference orbit for perturbation.
+	 * Stored as doubles, the `BigInt` orbit is kept for extending.
+	 *
+	 * @param {string} originX - reference x
+	 * @param {string} originY - reference y
+	 * @param {number} radius  - determines precision
+	 */
+	Formula.setReference = function (originX, originY, radius) {
+		var bits = Formula.precision(radius);
+		var cre = Formula.parseBig(originX, bits);
+		var cim = Formula.parseBig(originY, bits);
+
+		var ref = {
+			x: originX,
+			y: originY,
+			radius: radius,
+			power: Formula.formula + 2,
+			bits: bits,
+			shift: BigInt(bits),
+			bigCre: cre,
+			bigCim: cim,
+			bigZre: cre,
+			bigZim: cim,
+			cre: Formula.bigToDouble(cre, bits),
+			cim: Formula.bigToDouble(cim, bits),
+			orbitRe: new Float64Array(2), // Z[0] = 0
+			orbitIm: new Float64Array(2),
+			length: 2,
+			escaped: false
+		};
+
+		// Z[1] = C
+		ref.orbitRe[1] = ref.cre;
+		ref.orbitIm[1] = ref.cim;
+		ref.escaped = (ref.cre * ref.cre + ref.cim * ref.cim >= 4);
+
+		Formula.extendReference(ref, 1024);
+
+		Formula.reference = ref;
+	};
+
+	/**
+	 * Extend reference orbit until length or escape.
+	 *
+	 * @param {Object} ref
+	 * @param {number} length
+	 */
+	Formula.extendReference = function (ref, length) {
+		if (ref.escaped)
+			return;
+
+		var orbitRe = new Float64Array(length);
+		var orbitIm = new Float64Array(length);
+		orbitRe.set(ref.orbitRe.subarray(0, ref.length));
+		orbitIm.set(ref.orbitIm.subarray(0, ref.length));
+		ref.orbitRe = orbitRe;
+		ref.orbitIm = orbitIm;
+
+		var power = ref.power;
+		var shift = ref.shift;
+		var cre = ref.bigCre;
+		var cim = ref.bigCim;
+		var zre = ref.bigZre;
+		var zim = ref.bigZim;
+
+		while (ref.length < length) {
+			// Z = Z^power + C
+			var re = zre;
+			var im = zim;
+			for (var k = 1; k < power; k++) {
+				var t = (re * zre - im * zim) >> shift;
+				im = (re * zim + im * zre) >> shift;
+				re = t;
+			}
+			zre = re + cre;
+			zim = im + cim;
+
+			var x = Formula.bigToDouble(zre, ref.bits);
+			var y = Formula.bigToDouble(zim, ref.bits);
+			orbitRe[ref.length] = x;
+			orbitIm[ref.length] = y;
+			ref.length++;
+
+			if (x * x + y * y >= 4) {
+				ref.escaped = true;
+				break;
+			}
+		}
+
+		ref.bigZre = zre;
+		ref.bigZim = zim;
+	};
+
+	/**
+	 * Perturbation for z^power+p, relative to the reference orbit Z.
+	 *
+	 * (Z+dz)^power - Z^power = sum(binomial(power,k) * Z^(power-k) * dz^k), k=1..power
+	 *
+	 * Rebase (Zhuoran) by continuing with `dz=Z+dz` from the start of the reference,
+	 * when `Z+dz` gets closer to zero than `dz`, or when the reference escapes.
+	 * Returns the same iteration counts as the unrolled loops.
+	 *
+	 * @param {number} dre - x relative to reference
+	 * @param {number} dim - y relative to reference
+	 * @returns {number}
+	 */
+	Formula.perturb_calc = function (dre, dim) {
+		var ref = Formula.reference;
+		var power = ref.power;
+		var binomial = Formula.binomial[power];
+		var maxIter = Config.maxIter;
+		var limit = maxIter * 4 + 4;
+		var orbitRe = ref.orbitRe;
+		var orbitIm = ref.orbitIm;
+		var pre = ref.cre + dre;
+		var pim = ref.cim + dim;
+		var zre, zim, t, k;
+
+		// z[1] = p
+		var m = 1;
+		var dzre = dre;
+		var dzim = dim;
+
+		// distance estimation, derivative dz/dp of z[1]. Larger bailout like `distance_calc()`
+		var distance = (Formula.outcolour === 10);
+		var bailout = distance ? 100 * 100 : 4;
+		var derre = 1;
+		var derim = 0;
+
+		var iter;
+		for (iter = 0; iter < limit; iter++) {
+			zre = orbitRe[m] + dzre;
+			zim = orbitIm[m] + dzim;
+
+			var mag = zre * zre + zim * zim;
+			if (mag >= bailout)
+				break;
+
+			if (distance) {
+				// der = der*z^(power-1)*power + 1
+				var qre = zre;
+				var qim = zim;
+				for (k = 2; k < power; k++) {
+					t = qre * zre - qim * zim;
+					qim = qre * zim + qim * zre;
+					qre = t;
+				}
+				t = (qre * derre - qim * derim) * power + 1;
+				derim = (qre * derim + qim * derre) * power;
+				derre = t;
+			}
+
+			if (m >= ref.length - 1 && !ref.escaped) {
+				Formula.extendReference(ref, ref.length * 2);
+				orbitRe = ref.orbitRe;
+				orbitIm = ref.orbitIm;
+			}
+
+			// rebase
+			if (mag < dzre * dzre + dzim * dzim || m >= ref.length - 1) {
+				dzre = zre;
+				dzim = zim;
+				m = 0;
+			}
+
+			// Horner, with increasing powers of Z
+			var Zre = orbitRe[m];
+			var Zim = orbitIm[m];
+			var pwre = 1;
+			var pwim = 0;
+			var accre = 1;
+			var accim = 0;
+			for (k = 0; k < power - 1; k++) {
+				t = pwre * Zre - pwim * Zim;
+				pwim = pwre * Zim + pwim * Zre;
+				pwre = t;
+
+				t = accre * dzre - accim * dzim + binomial[k] * pwre;
+				accim = accre * dzim + accim * dzre + binomial[k] * pwim;
+				accre = t;
+			}
+
+			t = accre * dzre - accim * dzim + dre;
+			dzim = accre * dzim + accim * dzre + dim;
+			dzre = t;
+			m++;
+		}
+
+		if (iter >= limit) {
+			zre = orbitRe[m] + dzre;
+			zim = orbitIm[m] + dzim;
+			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
+		}
+
+		if (distance) {
+			// z and der are of the same iteration, no colouring step
+			if (iter >= maxIter)
+				return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
+			else if (Config.maxIter < iter + Config.maxIterBump)
+				Formula.autoIter(iter); // increase maxIter with low-pass filter
+
+			return Formula.calc_distance(mag, derre * derre + derim * derim);
+		}
+
+		// one more for colouring, escaped so doubles suffice
+		var nre = zre;
+		var nim = zim;
+		for (k = 1; k < power; k++) {
+			t = nre * zre - nim * zim;
+			nim = nre * zim + nim * zre;
+			nre = t;
+		}
+		zre = nre + pre;
+		zim = nim + pim;
+
+		// unrolled loops test in groups of 4
+		var iter4 = iter & ~3;
+		if (iter4 >= maxIter)
+			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
+		else if (Config.maxIter < iter4 + Config.maxIterBump)
+			Formula.autoIter(iter4); // increase maxIter with low-pass filter
+
+		return Formula.outcolour ? Formula.calc_outcolour(zre, zim, pre, pim, iter) : iter;
+	};
+
+	/**
+	 * Adaptive maxIter.
+	 * Called when a pixel escaped within `Config.maxIterBump` of `Config.maxIter`, it is near the boundary.
+	 * Increase maxIter with a low-pass filter, up to `Config.maxIterCap`.
+	 *
+	 * @param {number} iter - Escape iteration
+	 */
+	Formula.autoIter = function (iter) {
+		var maxIter = Config.maxIter + Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef);
+
+		if (maxIter > Config.maxIterCap)
+			maxIter = Config.maxIterCap;
+		if (maxIter > Config.maxIter)
+			Config.maxIter = maxIter;
+	};
+
+	/**
+	 * Start periodicity checking of an orbit by saving its first point.
+	 *
+	 * @param {number} zre
+	 * @param {number} zim
+	 * @param {number} zpr - Previous `z` or 0
+	 * @param {number} zpi - Previous `z` or 0
+	 * @returns {boolean} - Whether the formula should call `periodicTest()`
+	 */
+	Formula.periodicStart = function (zre, zim, zpr, zpi) {
+		var saved = Formula.periodicSaved;
+
+		saved.re = zre;
+		saved.im = zim;
+		saved.pr = zpr;
+		saved.pi = zpi;
+		saved.period = 0;
+		saved.window = 1;
+
+		return Formula.periodicity && !Formula.incolour;
+	};
+
+	/**
+	 * Test if the orbit returned to the saved point, save a new point when the window is exhausted.
+	 *
+	 * @param {number} zre
+	 * @param {number} zim
+	 * @param {number} zpr - Previous `z` or 0
+	 * @param {number} zpi - Previous `z` or 0
+	 * @returns {boolean} - `true` when periodic, the pixel is interior
+	 */
+	Formula.periodicTest = function (zre, zim, zpr, zpi) {
+		var saved = Formula.periodicSaved;
+
+		if (Math.abs(zre - saved.re) + Math.abs(zim - saved.im) + Math.abs(zpr - saved.pr) + Math.abs(zpi - saved.pi) < Formula.periodicityEpsilon)
+			return true;
+
+		if (++saved.period === saved.window) {
+			saved.re = zre;
+			saved.im = zim;
+			saved.pr = zpr;
+			saved.pi = zpi;
+			saved.period = 0;
+			saved.window *= 2;
+		}
+		return false;
+	};
+
 	/**
 	 *
 	 * @param {number} x
@@ -97,6 +565,10 @@ function Formula() {
 	 */
 	Formula.calculate = function (x, y) {
 
+		// deep zoom, x/y are relative to the reference
+		if (Formula.reference)
+			return Formula.perturb_calc(x, y);
+
 		if (Formula.plane) {
 			switch (Formula.plane) {
 			case 1: // 1/mu
@@ -159,70 +631,55 @@ function Formula() {
 			}
 		}
 
-		switch (Formula.formula) {
-		case 0: // mandelbrot
-
-			/*
-			 * original code:
-			 *	do {
-			 *		rp = zre * zre;
-			 *		ip = zim * zim;
-			 *
-			 *		zim = 2 * zre * zim + pim;
-			 *		zre = rp - ip + pre;
-			 *		if (rp + ip >= 4)
-			 *			return iter;
-			 *	} while (++iter < maxiter);
-			 */
-
-			var maxIter = Config.maxIter;
-			var iter = 0;
-			var zre = x;
-			var zim = y;
-			var pre = x;
-			var pim = y;
-
-			do {
-				var rp3 = zre * zre;
-				var ip3 = zim * zim;
-				var zim3 = zre * zim * 2 + pim;
-				var zre3 = rp3 - ip3 + pre;
-
-				var rp2 = zre3 * zre3;
-				var ip2 = zim3 * zim3;
-				var zim2 = zre3 * zim3 * 2 + pim;
-				var zre2 = rp2 - ip2 + pre;
-
-				var rp1 = zre2 * zre2;
-				var ip1 = zim2 * zim2;
-				var zim1 = zre2 * zim2 * 2 + pim;
-				var zre1 = rp1 - ip1 + pre;
-
-				var rp = zre1 * zre1;
-				var ip = zim1 * zim1;
-				zim = zre1 * zim1 * 2 + pim;
-				zre = rp - ip + pre;
-			} while (rp + ip < 4 && ++iter <= maxIter);
-
-			iter *= 4;
-
-			if (iter >= maxIter)
-				return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
-			else if (Config.maxIter < iter + Config.maxIterBump)
-				Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
-
-
-			if (rp3 + ip3 >= 4)
-				return Formula.outcolour ? Formula.calc_outcolour(zre3, zim3, pre, pim, iter) : iter;
-			if (rp2 + ip2 >= 4)
-				return Formula.outcolour ? Formula.calc_outcolour(zre2, zim2, pre, pim, iter + 1) : iter + 1;
-			if (rp1 + ip1 >= 4)
-				return Formula.outcolour ? Formula.calc_outcolour(zre1, zim1, pre, pim, iter + 2) : iter + 2;
-			if (rp + ip >= 4)
-				return Formula.outcolour ? Formula.calc_outcolour(zre, zim, pre, pim, iter + 3) : iter + 3;
+		// distance estimation tracks the derivative, mandelbrot and multibrot only
+		if (Formula.outcolour === 10 && Formula.formula <= 4) {
+			if (Formula.julia)
+				return Formula.distance_calc(x, y, Formula.juliaX, Formula.juliaY, 0);
+			return Formula.distance_calc(x, y, x, y, 1);
+		}
 
-			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
+		// julia, the pixel is z0
+		if (Formula.julia) {
+			var cre = Formula.juliaX;
+			var cim = Formula.juliaY;
+
+			switch (Formula.formula) {
+			case 0:
+				return Formula.mand2_calc(x, y, cre, cim);
+			case 1:
+				return Formula.mand3_calc(x, y, cre, cim);
+			case 2:
+				return Formula.mand4_calc(x, y, cre, cim);
+			case 3:
+				return Formula.mand5_calc(x, y, cre, cim);
+			case 4:
+				return Formula.mand6_calc(x, y, cre, cim);
+			case 5:
+				return Formula.octo_calc(x, y, cre, cim);
+			case 6:
+				return Formula.newton_calc(x, y, cre, cim);
+			case 7:
+				return Formula.barnsley1_calc(x, y, cre, cim);
+			case 8:
+				return Formula.barnsley2_calc(x, y, cre, cim);
+			case 9:
+				return Formula.phoenix_calc(x, y, cre, cim);
+			case 10:
+				return Formula.magnet1_calc(x, y, cre, cim);
+			case 11:
+				return Formula.magnet2_calc(x, y, cre, cim);
+			}
+		}
 
+		switch (Formula.formula) {
+		case 0:
+			// main cardioid and period-2 bulb
+			if (Formula.cardioid && !Formula.incolour) {
+				var q = (x - 0.25) * (x - 0.25) + y * y;
+				if (q * (q + x - 0.25) <= y * y / 4 || (x + 1) * (x + 1) + y * y <= 1 / 16)
+					return 65535;
+			}
+			return Formula.mand2_calc(x, y, x, y);
 		case 1:
 			return Formula.mand3_calc(x, y, x, y);
 		case 2:
@@ -249,6 +706,130 @@ function Formula() {
 		}
 	};
 
+	/**
+	 * z^power+p with derivative, for the "distance" outcolour.
+	 * Not unrolled, the bailout is larger for an accurate estimate.
+	 *
+	 * @param {number} zre
+	 * @param {number} zim
+	 * @param {number} pre
+	 * @param {number} pim
+	 * @param {number} dp - 1 when p is the pixel, 0 when z0 is the pixel (julia)
+	 * @returns {number}
+	 */
+	Formula.distance_calc = function (zre, zim, pre, pim, dp) {
+		var maxIter = Config.maxIter;
+		var power = Formula.formula + 2;
+		var iter = 0;
+		var derre = 1;
+		var derim = 0;
+		var t, k;
+
+		do {
+			// z^(power-1)
+			var qre = zre;
+			var qim = zim;
+			for (k = 2; k < power; k++) {
+				t = qre * zre - qim * zim;
+				qim = qre * zim + qim * zre;
+				qre = t;
+			}
+
+			// der = der*z^(power-1)*power + dp
+			t = (qre * derre - qim * derim) * power + dp;
+			derim = (qre * derim + qim * derre) * power;
+			derre = t;
+
+			// z = z^power + p
+			t = qre * zre - qim * zim + pre;
+			zim = qre * zim + qim * zre + pim;
+			zre = t;
+
+			var mag = zre * zre + zim * zim;
+		} while (mag < 100 * 100 && ++iter < maxIter);
+
+		if (iter >= maxIter)
+			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
+		else if (Config.maxIter < iter + Config.maxIterBump)
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
+
+		return Formula.calc_distance(mag, derre * derre + derim * derim);
+	};
+
+	/**
+	 * z^2+p, mandelbrot
+	 *
+	 * @param {number} zre
+	 * @param {number} zim
+	 * @param {number} pre
+	 * @param {number} pim
+	 * @returns {number}
+	 */
+	Formula.mand2_calc = function (zre, zim, pre, pim) {
+		/*
+		 * original code:
+		 *	do {
+		 *		rp = zre * zre;
+		 *		ip = zim * zim;
+		 *
+		 *		zim = 2 * zre * zim + pim;
+		 *		zre = rp - ip + pre;
+		 *		if (rp + ip >= 4)
+		 *			return iter;
+		 *	} while (++iter < maxiter);
+		 */
+
+		var maxIter = Config.maxIter;
+		var iter = 0;
+
+		var periodic = Formula.periodicStart(zre, zim, 0, 0);
+
+		do {
+			var rp3 = zre * zre;
+			var ip3 = zim * zim;
+			var zim3 = zre * zim * 2 + pim;
+			var zre3 = rp3 - ip3 + pre;
+
+			var rp2 = zre3 * zre3;
+			var ip2 = zim3 * zim3;
+			var zim2 = zre3 * zim3 * 2 + pim;
+			var zre2 = rp2 - ip2 + pre;
+
+			var rp1 = zre2 * zre2;
+			var ip1 = zim2 * zim2;
+			var zim1 = zre2 * zim2 * 2 + pim;
+			var zre1 = rp1 - ip1 + pre;
+
+			var rp = zre1 * zre1;
+			var ip = zim1 * zim1;
+			zim = zre1 * zim1 * 2 + pim;
+			zre = rp - ip + pre;
+
+			if (periodic && Formula.periodicTest(zre, zim, 0, 0)) {
+				iter = maxIter;
+				break;
+			}
+		} while (rp + ip < 4 && ++iter <= maxIter);
+
+		iter *= 4;
+
+		if (iter >= maxIter)
+			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
+		else if (Config.maxIter < iter + Config.maxIterBump)
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
+
+		if (rp3 + ip3 >= 4)
+			return Formula.outcolour ? Formula.calc_outcolour(zre3, zim3, pre, pim, iter) : iter;
+		if (rp2 + ip2 >= 4)
+			return Formula.outcolour ? Formula.calc_outcolour(zre2, zim2, pre, pim, iter + 1) : iter + 1;
+		if (rp1 + ip1 >= 4)
+			return Formula.outcolour ? Formula.calc_outcolour(zre1, zim1, pre, pim, iter + 2) : iter + 2;
+		if (rp + ip >= 4)
+			return Formula.outcolour ? Formula.calc_outcolour(zre, zim, pre, pim, iter + 3) : iter + 3;
+
+		return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
+	};
+
 	/**
 	 * z^3+p =
 	 * zre = (rp-ip*3)*zre + pre
@@ -264,6 +845,8 @@ function Formula() {
 		var maxIter = Config.maxIter;
 		var iter = 0;
 
+		var periodic = Formula.periodicStart(zre, zim, 0, 0);
+
 		do {
 			var rp3 = zre * zre;
 			var ip3 = zim * zim;
@@ -285,6 +868,10 @@ function Formula() {
 			zre = (rp - ip * 3) * zre1 + pre;
 			zim = (rp * 3 - ip) * zim1 + pim;
 
+			if (periodic && Formula.periodicTest(zre, zim, 0, 0)) {
+				iter = maxIter;
+				break;
+			}
 		} while (rp + ip < 4 && ++iter <= maxIter);
 
 		iter *= 4;
@@ -292,7 +879,7 @@ function Formula() {
 		if (iter >= maxIter)
 			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
 		else if (Config.maxIter < iter + Config.maxIterBump)
-			Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
 
 		if (rp3 + ip3 >= 4)
 			return Formula.outcolour ? Formula.calc_outcolour(zre3, zim3, pre, pim, iter) : iter;
@@ -325,6 +912,8 @@ function Formula() {
 		var iter = 0;
 		var t;
 
+		var periodic = Formula.periodicStart(zre, zim, 0, 0);
+
 		do {
 			var rp3 = zre * zre;
 			var ip3 = zim * zim;
@@ -349,6 +938,11 @@ function Formula() {
 			t = rp - ip;
 			zre = t * t - rp * ip * 4 + pre;
 			zim = t * zre1 * zim1 * 4 + pim;
+
+			if (periodic && Formula.periodicTest(zre, zim, 0, 0)) {
+				iter = maxIter;
+				break;
+			}
 		} while (rp + ip < 4 && ++iter <= maxIter);
 
 		iter *= 4;
@@ -356,7 +950,7 @@ function Formula() {
 		if (iter >= maxIter)
 			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
 		else if (Config.maxIter < iter + Config.maxIterBump)
-			Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
 
 		if (rp3 + ip3 >= 4)
 			return Formula.outcolour ? Formula.calc_outcolour(zre3, zim3, pre, pim, iter) : iter;
@@ -389,6 +983,8 @@ function Formula() {
 		var iter = 0;
 		var t;
 
+		var periodic = Formula.periodicStart(zre, zim, 0, 0);
+
 		do {
 			var rp3 = zre * zre;
 			var ip3 = zim * zim;
@@ -417,6 +1013,11 @@ function Formula() {
 			t = t * t * 5;
 			zre = (t - rp * rp * 4) * zre1 + pre;
 			zim = (t - ip * ip * 4) * zim1 + pim;
+
+			if (periodic && Formula.periodicTest(zre, zim, 0, 0)) {
+				iter = maxIter;
+				break;
+			}
 		} while (rp + ip < 4 && ++iter <= maxIter);
 
 		iter *= 4;
@@ -424,7 +1025,7 @@ function Formula() {
 		if (iter >= maxIter)
 			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
 		else if (Config.maxIter < iter + Config.maxIterBump)
-			Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
 
 		if (rp3 + ip3 >= 4)
 			return Formula.outcolour ? Formula.calc_outcolour(zre3, zim3, pre, pim, iter) : iter;
@@ -457,6 +1058,8 @@ function Formula() {
 		var iter = 0;
 		var t;
 
+		var periodic = Formula.periodicStart(zre, zim, 0, 0);
+
 		do {
 			var rp3 = zre * zre;
 			var ip3 = zim * zim;
@@ -481,6 +1084,11 @@ function Formula() {
 			t = rp - ip;
 			zre = t * t * t - t * rp * ip * 12 + pre;
 			zim = (t * t * 6 - rp * ip * 8) * zre1 * zim1 + pim;
+
+			if (periodic && Formula.periodicTest(zre, zim, 0, 0)) {
+				iter = maxIter;
+				break;
+			}
 		} while (rp + ip < 4 && ++iter <= maxIter);
 
 		iter *= 4;
@@ -488,7 +1096,7 @@ function Formula() {
 		if (iter >= maxIter)
 			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
 		else if (Config.maxIter < iter + Config.maxIterBump)
-			Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
 
 		if (rp3 + ip3 >= 4)
 			return Formula.outcolour ? Formula.calc_outcolour(zre3, zim3, pre, pim, iter) : iter;
@@ -508,6 +1116,8 @@ function Formula() {
 		var zpr = 0;
 		var zpi = 0;
 
+		var periodic = Formula.periodicStart(pre, pim, zpr, zpi);
+
 		do {
 			var zpr3 = pre + zre;
 			var zpi3 = pim + zim;
@@ -537,6 +1147,11 @@ function Formula() {
 			var ip = pim1 * pim1;
 			var pre = (rp - 3 * ip) * pre1 + zpr1;
 			var pim = (3 * rp - ip) * pim1 + zpi1;
+
+			if (periodic && Formula.periodicTest(pre, pim, zpr, zpi)) {
+				iter = maxIter;
+				break;
+			}
 		} while (rp + ip < 4 && ++iter <= maxIter);
 
 		iter *= 4;
@@ -544,7 +1159,7 @@ function Formula() {
 		if (iter >= maxIter)
 			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
 		else if (Config.maxIter < iter + Config.maxIterBump)
-			Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
 
 		if (zpr3 * zpr3 + zpi3 * zpi3 >= 4)
 			return Formula.outcolour ? Formula.calc_outcolour(zre3, zim3, pre, pim, iter) : iter;
@@ -585,7 +1200,7 @@ function Formula() {
 		if (iter >= maxIter)
 			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
 		else if (Config.maxIter < iter + Config.maxIterBump)
-			Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
 
 		return Formula.outcolour ? Formula.calc_outcolour(zre, zim, pre, pim, iter) : iter;
 	};
@@ -595,18 +1210,24 @@ function Formula() {
 		var iter = 0;
 		var rp = zre * zre;
 		var ip = zim * zim;
+		var periodic = Formula.periodicStart(zre, zim, 0, 0);
 		while (rp + ip < 4 && ++iter <= maxIter) {
 			var t = (zre >= 0) ? zre - 1 : zre + 1;
 			zre = t * pre - zim * pim;
 			zim = t * pim + zim * pre;
 			rp = zre * zre;
 			ip = zim * zim;
+
+			if (periodic && Formula.periodicTest(zre, zim, 0, 0)) {
+				iter = maxIter;
+				break;
+			}
 		}
 
 		if (iter >= maxIter)
 			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
 		else if (Config.maxIter < iter + Config.maxIterBump)
-			Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
 
 		return Formula.outcolour ? Formula.calc_outcolour(zre, zim, pre, pim, iter) : iter;
 	};
@@ -620,6 +1241,7 @@ function Formula() {
 		else {
 			rp = zre * zre;
 			ip = zim * zim;
+			var periodic = Formula.periodicStart(zre, zim, 0, 0);
 			while (rp + ip < 4 && ++iter <= maxIter) {
 				if (zre * pim + zim * pre >= 0) {
 					rp = zre - 1;
@@ -629,13 +1251,18 @@ function Formula() {
 				((zre) = (rp) * (pre) - (zim) * (pim), (zim) = ((rp) * (pim)) + ((zim) * (pre)));
 				rp = zre * zre;
 				ip = zim * zim;
+
+				if (periodic && Formula.periodicTest(zre, zim, 0, 0)) {
+					iter = maxIter;
+					break;
+				}
 			}
 		}
 
 		if (iter >= maxIter)
 			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
 		else if (Config.maxIter < iter + Config.maxIterBump)
-			Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
 
 		return Formula.outcolour ? Formula.calc_outcolour(zre, zim, pre, pim, iter) : iter;
 	};
@@ -647,18 +1274,25 @@ function Formula() {
 		var ip = zim * zim;
 		var zpr = 0;
 		var zpi = 0;
+		var periodic = Formula.periodicStart(zre, zim, zpr, zpi);
+
 		do {
 			// z[n+1] = z[n]*z[n]+pre+z[n-1]*pim
 			var zre3 = rp -ip +pre+zpr; var zim3 = zre *zim *2+zpi; zpr = zre *pim; zpi = zim *pim; rp3 = zre3*zre3; ip3 = zim3*zim3;
 			var zre2 = rp3-ip3+pre+zpr; var zim2 = zre3*zim3*2+zpi; zpr = zre3*pim; zpi = zim3*pim; rp2 = zre2*zre2; ip2 = zim2*zim2;
 			var zre1 = rp2-ip2+pre+zpr; var zim1 = zre2*zim2*2+zpi; zpr = zre2*pim; zpi = zim2*pim; rp1 = zre1*zre1; ip1 = zim1*zim1;
 			var zre  = rp1-ip1+pre+zpr; var zim  = zre1*zim1*2+zpi; zpr = zre1*pim; zpi = zim1*pim; rp  = zre *zre ; ip  = zim *zim ;
+
+			if (periodic && Formula.periodicTest(zre, zim, zpr, zpi)) {
+				iter = maxIter;
+				break;
+			}
 		} while (rp + ip < 4 && ++iter <= maxIter);
 
 		iter *= 4;
 
 		if (iter <= maxIter && Config.maxIter < iter + Config.maxIterBump)
-			Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
 
 		if (rp3 + ip3 >= 4)
 			return Formula.outcolour ? Formula.calc_outcolour(zre3, zim3, pre, pim, iter) : iter;
@@ -700,7 +1334,7 @@ function Formula() {
 		if (iter >= maxIter)
 			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
 		else if (Config.maxIter < iter + Config.maxIterBump)
-			Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
 
 		return Formula.outcolour ? Formula.calc_outcolour(zre, zim, pre, pim, iter) : iter;
 	};
@@ -743,7 +1377,7 @@ function Formula() {
 		if (iter >= maxIter)
 			return Formula.incolour ? Formula.calc_incolour(zre, zim, pre, pim) : 65535;
 		else if (Config.maxIter < iter + Config.maxIterBump)
-			Config.maxIter += Math.round((iter + Config.maxIterBump - Config.maxIter) * Config.maxIterCoef); // increase maxIter with low-pass filter
+			Formula.autoIter(iter); // increase maxIter with low-pass filter
 
 		if (iter <= maxIter)
 			return Formula.outcolour ? Formula.calc_outcolour(zre, zim, pre, pim, iter) : iter;
@@ -828,8 +1462,39 @@ function Formula() {
 			iter = ((iter + Math.PI * 4) * paletteSize / Math.PI) >> 1;
 			// the above has >>1 instead of >>3, so the result range is 0..4*paletteSize
 			return iter % paletteSize;
+		case 9: // smooth
+			// normalized iteration count, fractional and continuous across iter bands
+			// |z| >= 2 (bailout) and the formula degree determine the range iter-1..iter
+			var degree = (Formula.formula <= 4) ? Formula.formula + 2 : 2;
+			iter -= Math.log(Math.log(zre * zre + zim * zim) / (2 * Math.LN2)) / Math.log(degree);
+			// not modulo, same as iter
+			return (iter > 0) ? iter : 0;
+		case 10: // distance, see `calc_distance()`. Formulas without derivative fall back to iter
+			break;
 		}
 
 		return (iter >= 0) ? iter % paletteSize : ((paletteSize - 1) - (-iter - 1) % paletteSize);
 	};
+
+	/**
+	 * "distance" outcolour, the estimated distance to the set in pixels.
+	 * Log scale with 64 palette entries per octave, filaments thinner than 1/16 pixel start at 0.
+	 *
+	 * @param {number} mag  - |z|^2
+	 * @param {number} dmag - |dz/dp|^2
+	 * @returns {number}
+	 */
+	Formula.calc_distance = function (mag, dmag) {
+		var paletteSize = Config.paletteSize;
+
+		// |z|*log|z|/|dz|
+		var distance = Math.sqrt(mag / dmag) * Math.log(mag) * 0.5 / Formula.pixelSize;
+
+		var iter = Math.floor((Math.log2(distance) + 4) * 64);
+		// NaN/Infinity when the derivative vanished
+		if (!(iter > 0 && iter < Infinity))
+			return 0;
+
+		return iter % paletteSize;
+	};
 }
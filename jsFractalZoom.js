@@ -44,6 +44,10 @@ function Config() {
 	Config.forceHeight = 0;
 	/** @member {int} - force fixed devicePixelRatio if non zero */
 	Config.forceDevicePixelRatio = 0;
+	/** @member {int} - supersampling anti-aliasing, 1=off, 2=2x2, 3=3x3, 4=4x4 */
+	Config.supersample = 1;
+	/** @member {string} - order of line refinement, key of `ZoomerView.lineStrategies` */
+	Config.lineStrategy = "worst-score";
 
 	/** @member {float} - zoom speed */
 	Config.zoomSpeedManual = 20;
@@ -86,10 +90,16 @@ function Config() {
 	/** @member {float} - calculation depth slider Now */
 	Config.framerateNow = 20;
 
-	/** @member {float} - center X coordinate - vsync updated */
+	/** @member {float} - center X coordinate, relative to `originX` - vsync updated */
 	Config.centerX = 0;
-	/** @member {float} - center Y coordinate - vsync updated */
+	/** @member {float} - center Y coordinate, relative to `originY` - vsync updated */
 	Config.centerY = 0;
+	/** @member {string} - deep zoom arbitrary precision origin X, "0" when not zoomed deep */
+	Config.originX = "0";
+	/** @member {string} - deep zoom arbitrary precision origin Y, "0" when not zoomed deep */
+	Config.originY = "0";
+	/** @member {float} - radius where deep zoom (perturbation) starts */
+	Config.deepRadius = 1e-10;
 	/** @member {float} - distance between center and view corner - vsync updated */
 	Config.radius = 0;
 	/** @member {float} - current view angle (degrees) - timer updated */
@@ -100,6 +110,18 @@ function Config() {
 	Config.maxIterCoef = 0.01;
 	/** @member {int} - Auto adapting AllocateAhead */
 	Config.maxIterBump = 100;
+	/**
+	 * @member {int} - Auto adapting upper limit
+	 * Escape counts are pixel values and palette indices below the interior colour 65535.
+	 * The unrolled formulas return up to `maxIter+2`, so at most 65532.
+	 */
+	Config.maxIterCap = 65532;
+	/** @member {float} - iteration cap slider Min */
+	Config.maxIterCapMin = Math.log(1000);
+	/** @member {float} - iteration cap slider Max */
+	Config.maxIterCapMax = Math.log(65532);
+	/** @member {float} - iteration cap slider Now */
+	Config.maxIterCapNow = Math.log(Config.maxIterCap);
 
 	/** @member {float} - current palette offset - timer updated */
 	Config.paletteOffsetFloat = 0;
@@ -154,11 +176,13 @@ Config.load = function (query) {
 		if (v.length === 0)
 			continue; // skip empty values
 
-		if (k === "x")
-			Config.centerX = Number.parseFloat(v);
-		else if (k === "y")
-			Config.centerY = Number.parseFloat(v);
-		else if (k === "r")
+		if (k === "x") {
+			Config.originX = v;
+			Config.centerX = 0;
+		} else if (k === "y") {
+			Config.originY = v;
+			Config.centerY = 0;
+		} else if (k === "r")
 			Config.radius = Number.parseFloat(v);
 		else if (k === "a")
 			Config.angle = Number.parseFloat(v);
@@ -167,7 +191,14 @@ Config.load = function (query) {
 			Config.densityNow = Math.log(Config.density);
 		} else if (k === "iter")
 			Config.maxIter = Number.parseInt(v);
-		else if (k === "theme")
+		else if (k === "itercap") {
+			// within the slider range, NaN would disable the cap
+			const maxIterCap = Number.parseInt(v);
+			if (maxIterCap > 0) {
+				Config.maxIterCapNow = Math.min(Math.max(Math.log(maxIterCap), Config.maxIterCapMin), Config.maxIterCapMax);
+				Config.maxIterCap = Math.round(Math.exp(Config.maxIterCapNow));
+			}
+		} else if (k === "theme")
 			Config.theme = Number.parseInt(v);
 		else if (k === "seed")
 			Config.seed = Number.parseInt(v);
@@ -179,15 +210,280 @@ Config.load = function (query) {
 			Formula.outcolour = Number.parseInt(v);
 		else if (k === "plane")
 			Formula.plane = Number.parseInt(v);
+		else if (k === "julia")
+			Formula.julia = Number.parseInt(v) !== 0;
+		else if (k === "cx")
+			Formula.juliaX = Number.parseFloat(v);
+		else if (k === "cy")
+			Formula.juliaY = Number.parseFloat(v);
+		else if (k === "cardioid")
+			Formula.cardioid = Number.parseInt(v) !== 0;
+		else if (k === "periodicity")
+			Formula.periodicity = Number.parseInt(v) !== 0;
 		else if (k === "w")
 			Config.forceWidth = Number.parseInt(v);
 		else if (k === "h")
 			Config.forceHeight = Number.parseInt(v);
+		else if (k === "ss")
+			Config.supersample = Math.min(Math.max(Number.parseInt(v) || 1, 1), 4);
+		else if (k === "ls")
+			Config.lineStrategy = v;
 		else if (k === "dpr") {
 			Config.forceDevicePixelRatio = Number.parseInt(v);
 			Config.hiRes = true;
 		}
 	}
+
+	// "iter" and "itercap" can come in any order
+	if (Config.maxIter > Config.maxIterCap)
+		Config.maxIter = Config.maxIterCap;
+
+	// deep zoom or not
+	Config.rebase();
+};
+
+/**
+ * Save config as navigation data. The reverse of `Config.load()`.
+ * Used for the URL and the JSON embedded in images.
+ *
+ * @returns {Object}
+ */
+Config.save = function () {
+	// deep zoom coordinates are strings as they exceed double precision
+	const deep = (Config.originX !== "0" || Config.originY !== "0");
+
+	return {
+		x: deep ? Formula.addOrigin(Config.originX, Config.centerX, Config.radius) : Config.centerX,
+		y: deep ? Formula.addOrigin(Config.originY, Config.centerY, Config.radius) : Config.centerY,
+		r: Config.radius,
+		a: Config.angle,
+		density: Config.density,
+		iter: Config.maxIter,
+		itercap: Config.maxIterCap,
+		theme: Config.theme,
+		seed: Config.seed,
+		formula: Formula.formula,
+		incolour: Formula.incolour,
+		outcolour: Formula.outcolour,
+		plane: Formula.plane,
+		julia: Formula.julia ? 1 : 0,
+		cx: Formula.juliaX,
+		cy: Formula.juliaY,
+		cardioid: Formula.cardioid ? 1 : 0,
+		periodicity: Formula.periodicity ? 1 : 0,
+	};
+};
+
+/**
+ * Save config as session state for `Zoomer.saveSession()`.
+ * Unlike `Config.save()` the center stays relative to the origin, matching the rulers of the views.
+ *
+ * @returns {Object}
+ */
+Config.saveSession = function () {
+	return {
+		originX: Config.originX,
+		originY: Config.originY,
+		centerX: Config.centerX,
+		centerY: Config.centerY,
+		radius: Config.radius,
+		angle: Config.angle,
+		density: Config.density,
+		maxIter: Config.maxIter,
+		supersample: Config.supersample,
+		theme: Config.theme,
+		seed: Config.seed,
+		paletteOffsetFloat: Config.paletteOffsetFloat,
+		formula: Formula.formula,
+		incolour: Formula.incolour,
+		outcolour: Formula.outcolour,
+		plane: Formula.plane,
+		julia: Formula.julia,
+		juliaX: Formula.juliaX,
+		juliaY: Formula.juliaY,
+		cardioid: Formula.cardioid,
+		periodicity: Formula.periodicity,
+	};
+};
+
+/**
+ * Load config from session state. The reverse of `Config.saveSession()`.
+ * Call `palette.loadTheme()` and `Config.rebase()` afterwards, apply `Config.supersample` to the zoomer.
+ *
+ * @param {Object} state
+ */
+Config.loadSession = function (state) {
+	Config.originX = state.originX;
+	Config.originY = state.originY;
+	Config.centerX = state.centerX;
+	Config.centerY = state.centerY;
+	Config.radius = state.radius;
+	Config.angle = state.angle;
+	Config.density = state.density;
+	Config.densityNow = Math.log(Config.density);
+	Config.maxIter = Math.min(state.maxIter, Config.maxIterCap);
+	// older sessions have no supersampling
+	Config.supersample = state.supersample || 1;
+	Config.theme = state.theme;
+	Config.seed = state.seed;
+	Config.paletteOffsetFloat = state.paletteOffsetFloat;
+	Formula.formula = state.formula;
+	Formula.incolour = state.incolour;
+	Formula.outcolour = state.outcolour;
+	Formula.plane = state.plane;
+	Formula.julia = state.julia;
+	Formula.juliaX = state.juliaX;
+	Formula.juliaY = state.juliaY;
+	// older sessions have the shortcuts on
+	Formula.cardioid = state.cardioid !== false;
+	Formula.periodicity = state.periodicity !== false;
+
+	// the reference orbit is not saved
+	Formula.reference = null;
+};
+
+/**
+ * Test if position requires deep zoom
+ *
+ * @returns {boolean}
+ */
+Config.isDeep = function () {
+	return Formula.formula <= 4 && Formula.plane === 0 && !Formula.julia && Config.radius < Config.deepRadius;
+};
+
+/**
+ * Test if pixels are symmetric in the real axis, for `Zoomer.mirrorY`.
+ * Requires z^n+c with real coefficients, colouring that ignores the sign of the imaginary part,
+ * a real Julia constant and the real axis at y=0 (no deep zoom origin).
+ * All planes are symmetric.
+ *
+ * @returns {boolean}
+ */
+Config.isSymmetric = function () {
+	// maxiter, zmag, mag*cos(real^2), sin(real^2-imag^2), atan(real*imag*creal*cimag)
+	const incolour = [0, 1, 4, 5, 6];
+	// iter, iter+real, biomorphs, potential, smooth, distance
+	const outcolour = [0, 1, 6, 7, 9, 10];
+
+	return Formula.formula <= 4 && incolour.includes(Formula.incolour) && outcolour.includes(Formula.outcolour) &&
+		(!Formula.julia || Formula.juliaY === 0) && Config.originY === "0" && !Formula.reference;
+};
+
+/**
+ * Move to absolute coordinates, as returned by `Config.save()`.
+ * The center is set relative to `Config.originX/Y`, call `Config.rebase()` afterwards.
+ * When the distance to the origin is too large for double precision, the origin jumps to the new position.
+ *
+ * @param {number|string} x      - Center X coordinate, strings for deep zoom
+ * @param {number|string} y      - Center Y coordinate, strings for deep zoom
+ * @param {float}         radius - Radius
+ * @returns {boolean} - true if origin jumped and views can not inherit pixels
+ */
+Config.moveTo = function (x, y, radius) {
+	Config.radius = radius;
+
+	if (!Config.isDeep()) {
+		// `Config.rebase()` folds a deep origin back into the center
+		Config.centerX = Number(x) - Number.parseFloat(Config.originX);
+		Config.centerY = Number(y) - Number.parseFloat(Config.originY);
+		return false;
+	}
+
+	const bits = Formula.precision(radius);
+	const dx = Formula.bigToDouble(Formula.parseBig(String(x), bits) - Formula.parseBig(Config.originX, bits), bits);
+	const dy = Formula.bigToDouble(Formula.parseBig(String(y), bits) - Formula.parseBig(Config.originY, bits), bits);
+
+	// rounding error of the double should stay well below a pixel
+	if (Math.abs(dx) < radius * 2199023255552 && Math.abs(dy) < radius * 2199023255552) {
+		Config.centerX = dx;
+		Config.centerY = dy;
+		return false;
+	}
+
+	Config.originX = String(x);
+	Config.originY = String(y);
+	Config.centerX = 0;
+	Config.centerY = 0;
+	return true;
+};
+
+/**
+ * Deep zoom. Beyond `Config.deepRadius`, `Config.centerX/Y` are relative to `Config.originX/Y`
+ * and pixels are calculated by perturbation of the reference orbit of the origin.
+ * Fold the center into the origin when it has drifted too far for double precision.
+ * Fold the origin back into the center when zooming out.
+ *
+ * @returns {{dx: float, dy: float}|null} - Shift for `Zoomer.rebase()`, null when unchanged
+ */
+Config.rebase = function () {
+	const ref = Formula.reference;
+	let dx, dy;
+
+	if (Config.isDeep()) {
+		// test if origin still accurate
+		if (ref && ref.x === Config.originX && ref.y === Config.originY && ref.power === Formula.formula + 2 &&
+			Config.radius > ref.radius / 4294967296 &&
+			Math.abs(Config.centerX) < Config.radius * 1048576 &&
+			Math.abs(Config.centerY) < Config.radius * 1048576)
+			return null;
+
+		dx = Config.centerX;
+		dy = Config.centerY;
+		Config.originX = Formula.addOrigin(Config.originX, dx, Config.radius);
+		Config.originY = Formula.addOrigin(Config.originY, dy, Config.radius);
+		Formula.setReference(Config.originX, Config.originY, Config.radius);
+	} else {
+		Formula.reference = null;
+		if (Config.originX === "0" && Config.originY === "0")
+			return null;
+
+		dx = -Number.parseFloat(Config.originX);
+		dy = -Number.parseFloat(Config.originY);
+		Config.originX = "0";
+		Config.originY = "0";
+	}
+
+	Config.centerX -= dx;
+	Config.centerY -= dy;
+	return {dx: dx, dy: dy};
+};
+
+/**
+ * Embed navigation data as JSON into the least significant bits of the non-transparent pixels.
+ * `GUI.extractJson()` and `extractJson.js` do the reverse.
+ *
+ * @param {Uint32Array} rgba   - Canvas pixel buffer
+ * @param {int}         width  - Width (pixels)
+ * @param {int}         height - Height (pixels)
+ */
+Config.embed = function (rgba, width, height) {
+	const json = JSON.stringify(Config.save());
+
+	let k = width + 1; // skip first line and column
+	let maxk = width * height;
+	done:
+		for (let j = 0; j < json.length; j++) {
+			let code = json.charCodeAt(j);
+			for (let i = 0; i < 8; i++) {
+				// pixel must not be transparent
+				while (!rgba[k]) {
+					if (k >= maxk)
+						break done;
+					k++;
+				}
+
+				// inject bit
+				if (code & 1)
+					rgba[k] |= 1;
+				else
+					rgba[k] &= ~1;
+				code >>= 1;
+
+				if (k >= maxk)
+					break done;
+				k++;
+			}
+		}
 };
 
 /**
@@ -196,13 +492,17 @@ Config.load = function (query) {
 Config.home = function () {
 	const initial = Formula.initial[Formula.formula];
 
-	Config.centerX = initial.x;
-	Config.centerY = initial.y;
+	// julia sets are centered
+	Config.centerX = Formula.julia ? 0 : initial.x;
+	Config.centerY = Formula.julia ? 0 : initial.y;
+	Config.originX = "0";
+	Config.originY = "0";
 	Config.radius = initial.r;
 	Config.angle = initial.a;
+	Formula.reference = null;
 
 	// reset maxiter
-	Config.maxIter = 300;
+	Config.maxIter = Math.min(300, Config.maxIterCap);
 
 	// reset autopilot
 	Config.autopilotU = 0;
@@ -520,11 +820,13 @@ function Palette() {
 	/**
 	 * Set palette
 	 *
+	 * The mapping of pixel values to colours does not depend on `Config.maxIter`,
+	 * so colours stay put while maxIter adapts and pixels of earlier frames stay valid.
+	 *
 	 * @param {Uint32Array} out32  - frame.palette
 	 * @param {int}         offset - Starting position for colour rotation
-	 * @param {int}         maxIter - Starting position for colour rotation
 	 */
-	this.setPalette = function (out32, offset, maxIter) {
+	this.setPalette = function (out32, offset) {
 
 		const paletteSize = Config.paletteSize;
 
@@ -549,9 +851,9 @@ function Palette() {
 		const maxK = paletteSize * 32768;
 		let k = offset * 32768;
 
-		// copy palette and apply colour cycling
+		// copy palette and apply colour cycling. All pixel values, excluding background
 		const palette = this.palette;
-		for (let i = 0; i < maxIter; i++) {
+		for (let i = 0; i < 65535; i++) {
 
 			// copy pixel
 			out32[i] = palette[k >> 15];
@@ -567,6 +869,374 @@ function Palette() {
 	};
 }
 
+/**
+ * Formula, palette and iteration settings of one zoomer instance.
+ *
+ * `Formula` and `Config` are page globals, the GUI edits them directly.
+ * Further instances on the same page each have their own settings.
+ * `calculate()`, `loadTheme()` and `setPalette()` swap them with the globals for the duration of the call,
+ * line workers receive them from `state()`.
+ * A new instance starts with a copy of the globals.
+ *
+ * @class
+ */
+function Settings() {
+	/** @member {Object} - `Config` values read by `Formula`, `maxIter` adapts per instance */
+	this.config = {
+		maxIter: Config.maxIter,
+		maxIterCoef: Config.maxIterCoef,
+		maxIterBump: Config.maxIterBump,
+		maxIterCap: Config.maxIterCap,
+		paletteSize: Config.paletteSize
+	};
+	/** @member {int} - Formula, see `Formula.formula` */
+	this.formula = Formula.formula;
+	/** @member {int} - Incolour, see `Formula.incolour` */
+	this.incolour = Formula.incolour;
+	/** @member {int} - Outcolour, see `Formula.outcolour` */
+	this.outcolour = Formula.outcolour;
+	/** @member {int} - Plane, see `Formula.plane` */
+	this.plane = Formula.plane;
+	/** @member {boolean} - Julia mode, see `Formula.julia` */
+	this.julia = Formula.julia;
+	/** @member {float} - Julia parameter x */
+	this.juliaX = Formula.juliaX;
+	/** @member {float} - Julia parameter y */
+	this.juliaY = Formula.juliaY;
+	/** @member {boolean} - Closed form interior test, see `Formula.cardioid` */
+	this.cardioid = Formula.cardioid;
+	/** @member {boolean} - Orbit cycle detection, see `Formula.periodicity` */
+	this.periodicity = Formula.periodicity;
+	/** @member {float} - Distance between screen pixels, set by the application */
+	this.pixelSize = Formula.pixelSize;
+	/** @member {Object|null} - Deep zoom reference orbit, set by the application */
+	this.reference = null;
+
+	/** @member {int} - Palette theme, see `Config.theme` */
+	this.theme = Config.theme;
+	/** @member {int} - Palette seed, see `Config.seed` */
+	this.seed = Config.seed;
+	/** @member {float} - Palette density, see `Config.density` */
+	this.density = Config.density;
+	/** @member {float} - Palette colour cycling, see `Config.paletteOffsetFloat` */
+	this.paletteOffset = 0;
+	/** @member {Palette} - Colours of this instance */
+	this.palette = new Palette();
+
+	/**
+	 * Exchange the settings with the globals, a second call restores them.
+	 * Changes made in between, like the adaptive `Config.maxIter`, end up in the settings.
+	 */
+	const swap = () => {
+		const config = this.config;
+
+		[Config.maxIter, config.maxIter] = [config.maxIter, Config.maxIter];
+		[Config.maxIterCoef, config.maxIterCoef] = [config.maxIterCoef, Config.maxIterCoef];
+		[Config.maxIterBump, config.maxIterBump] = [config.maxIterBump, Config.maxIterBump];
+		[Config.maxIterCap, config.maxIterCap] = [config.maxIterCap, Config.maxIterCap];
+		[Config.paletteSize, config.paletteSize] = [config.paletteSize, Config.paletteSize];
+		[Formula.formula, this.formula] = [this.formula, Formula.formula];
+		[Formula.incolour, this.incolour] = [this.incolour, Formula.incolour];
+		[Formula.outcolour, this.outcolour] = [this.outcolour, Formula.outcolour];
+		[Formula.plane, this.plane] = [this.plane, Formula.plane];
+		[Formula.julia, this.julia] = [this.julia, Formula.julia];
+		[Formula.juliaX, this.juliaX] = [this.juliaX, Formula.juliaX];
+		[Formula.juliaY, this.juliaY] = [this.juliaY, Formula.juliaY];
+		[Formula.cardioid, this.cardioid] = [this.cardioid, Formula.cardioid];
+		[Formula.periodicity, this.periodicity] = [this.periodicity, Formula.periodicity];
+		[Formula.pixelSize, this.pixelSize] = [this.pixelSize, Formula.pixelSize];
+		[Formula.reference, this.reference] = [this.reference, Formula.reference];
+		[Config.theme, this.theme] = [this.theme, Config.theme];
+		[Config.seed, this.seed] = [this.seed, Config.seed];
+		[Config.density, this.density] = [this.density, Config.density];
+	};
+
+	/**
+	 * Calculate a pixel with these settings, for `onUpdatePixel()`.
+	 *
+	 * @param {float} x - X value
+	 * @param {float} y - Y value
+	 * @return {int} - Pixel value
+	 */
+	this.calculate = (x, y) => {
+		swap();
+		const result = Formula.calculate(x, y);
+		swap();
+
+		return result;
+	};
+
+	/**
+	 * Generate the colours of `palette` from `theme` and `seed`.
+	 */
+	this.loadTheme = () => {
+		swap();
+		this.palette.loadTheme();
+		swap();
+	};
+
+	/**
+	 * Inject the palette into a frame, for `onRenderFrame()`.
+	 *
+	 * @param {Uint32Array} out32 - frame.palette
+	 */
+	this.setPalette = (out32) => {
+		swap();
+		this.palette.setPalette(out32, Math.round(this.paletteOffset));
+		swap();
+	};
+
+	/**
+	 * Snapshot for line workers, for `onWorkerBegin()`.
+	 *
+	 * @return {Object} - State for `Settings.onWorkerPixel()`
+	 */
+	this.state = () => {
+		return {
+			config: Object.assign({}, this.config),
+			formula: this.formula,
+			incolour: this.incolour,
+			outcolour: this.outcolour,
+			plane: this.plane,
+			julia: this.julia,
+			juliaX: this.juliaX,
+			juliaY: this.juliaY,
+			cardioid: this.cardioid,
+			periodicity: this.periodicity,
+			pixelSize: this.pixelSize,
+			reference: this.reference
+		};
+	};
+
+	/**
+	 * Collect the adaptive maxIter of a line worker, for `onWorkerEnd()`.
+	 *
+	 * @param {Object} state - Line worker state
+	 */
+	this.workerEnd = (state) => {
+		if (this.config.maxIter < state.config.maxIter)
+			this.config.maxIter = state.config.maxIter;
+	};
+
+	// colours of the page theme
+	this.loadTheme();
+}
+
+/**
+ * `onUpdatePixel()` inside line workers, shared by all instances of a `ZoomerPool`.
+ * NOTE: Runs in the worker context, `Config` there is `state.config`.
+ *
+ * @param {Object} state - From `onWorkerBegin()`
+ * @param {float}  x     - X value
+ * @param {float}  y     - Y value
+ * @return {int} - Pixel value
+ */
+Settings.onWorkerPixel = function (state, x, y) {
+	if (self.Config !== state.config) {
+		// first pixel with new state, install
+		if (!Formula.calculate)
+			Formula();
+
+		self.Config = state.config;
+		Formula.formula = state.formula;
+		Formula.incolour = state.incolour;
+		Formula.outcolour = state.outcolour;
+		Formula.plane = state.plane;
+		Formula.julia = state.julia;
+		Formula.juliaX = state.juliaX;
+		Formula.juliaY = state.juliaY;
+		Formula.cardioid = state.cardioid;
+		Formula.periodicity = state.periodicity;
+		Formula.pixelSize = state.pixelSize;
+
+		/*
+		 * Don't return the reference orbit with every line, keep it aside.
+		 * A state is per instance and generation, instances sharing a pool reinstall theirs in turn.
+		 */
+		if (!self.references)
+			self.references = new WeakMap();
+		if (state.reference) {
+			self.references.set(state, state.reference);
+			state.reference = null;
+		}
+		Formula.reference = self.references.get(state) || null;
+	}
+
+	return Formula.calculate(x, y);
+};
+
+/**
+ * Flight recorder. Records navigation into a track and replays it.
+ *
+ * Every frame `GUI` samples `Config.save()` plus palette offset, only changed values are stored.
+ * Timestamps are milli seconds since start of recording.
+ * Deep zoom coordinates are absolute strings so a track does not depend on `Config.originX/Y`.
+ *
+ * @class
+ */
+function Recorder() {
+	/** @member {Object[]} - recorded changes, `{t, ...changed keys}` */
+	this.track = [];
+	/** @member {boolean} - on/off recording */
+	this.recording = false;
+	/** @member {boolean} - on/off replaying */
+	this.replaying = false;
+	/** @member {float} - `performance.now()` of start recording/replay */
+	this.timeStart = 0;
+	/** @member {int} - next track event to replay */
+	this.position = 0;
+	/** @member {Object} - last recorded/replayed values */
+	this.state = {};
+
+	/**
+	 * Values to record
+	 *
+	 * @returns {Object}
+	 */
+	this.snapshot = () => {
+		const state = Config.save();
+		state.offset = Config.paletteOffsetFloat;
+		return state;
+	};
+
+	/**
+	 * Start recording a new track
+	 *
+	 * @param {float} now - `performance.now()`
+	 */
+	this.startRecording = (now) => {
+		this.replaying = false;
+		this.recording = true;
+		this.timeStart = now;
+		this.track = [];
+		this.state = {};
+	};
+
+	/**
+	 * Append changes since previous call to track
+	 *
+	 * @param {float} now - `performance.now()`
+	 */
+	this.record = (now) => {
+		const state = this.snapshot();
+		const event = {t: Math.round(now - this.timeStart)};
+
+		let changed = false;
+		for (const k in state) {
+			if (state[k] !== this.state[k]) {
+				event[k] = state[k];
+				changed = true;
+			}
+		}
+
+		if (changed) {
+			this.track.push(event);
+			this.state = state;
+		}
+	};
+
+	/**
+	 * Start replaying track from the beginning
+	 *
+	 * @param {float} now - `performance.now()`
+	 * @returns {boolean} - false if track empty
+	 */
+	this.startReplay = (now) => {
+		this.recording = false;
+		this.replaying = this.track.length > 0;
+		this.timeStart = now;
+		this.position = 0;
+		this.state = {};
+		return this.replaying;
+	};
+
+	/**
+	 * Apply track events up to `now` to `Config` and `Formula`.
+	 * Replaying stops after the last event.
+	 *
+	 * @param {float} now - `performance.now()`
+	 * @returns {Object|null} - Changed values, `reload` set when a key frame is needed. null if nothing changed
+	 */
+	this.replay = (now) => {
+		const elapsed = now - this.timeStart;
+
+		let changes = null;
+		while (this.position < this.track.length && this.track[this.position].t <= elapsed)
+			changes = Object.assign(changes || {}, this.track[this.position++]);
+
+		if (this.position >= this.track.length)
+			this.replaying = false;
+		if (!changes)
+			return null;
+
+		delete changes.t;
+		Object.assign(this.state, changes);
+		const state = this.state;
+
+		Formula.formula = state.formula;
+		Formula.incolour = state.incolour;
+		Formula.outcolour = state.outcolour;
+		Formula.plane = state.plane;
+		Formula.julia = !!state.julia;
+		Formula.juliaX = state.cx || 0;
+		Formula.juliaY = state.cy || 0;
+		// older tracks have the shortcuts on
+		Formula.cardioid = state.cardioid !== 0;
+		Formula.periodicity = state.periodicity !== 0;
+		if (Config.moveTo(state.x, state.y, state.r))
+			changes.reload = true;
+		Config.angle = state.a;
+		Config.density = state.density;
+		Config.densityNow = Math.log(Config.density);
+		if (state.itercap) {
+			// older tracks have no cap
+			Config.maxIterCap = Math.min(state.itercap, Math.round(Math.exp(Config.maxIterCapMax)));
+			Config.maxIterCapNow = Math.log(Config.maxIterCap);
+		}
+		Config.maxIter = Math.min(state.iter, Config.maxIterCap);
+		Config.theme = state.theme;
+		Config.seed = state.seed;
+		Config.paletteOffsetFloat = state.offset;
+
+		if ("formula" in changes || "incolour" in changes || "outcolour" in changes || "plane" in changes || "julia" in changes || "cx" in changes || "cy" in changes || "cardioid" in changes || "periodicity" in changes)
+			changes.reload = true;
+
+		return changes;
+	};
+
+	/**
+	 * Track as JSON
+	 *
+	 * @returns {string}
+	 */
+	this.save = () => {
+		return JSON.stringify({track: this.track});
+	};
+
+	/**
+	 * Load track from JSON
+	 *
+	 * @param {string} json
+	 * @returns {boolean} - false if not a track
+	 */
+	this.load = (json) => {
+		let obj;
+		try {
+			obj = JSON.parse(json);
+		} catch (e) {
+			return false;
+		}
+
+		if (!obj || !Array.isArray(obj.track) || !obj.track.length)
+			return false;
+
+		this.recording = false;
+		this.replaying = false;
+		this.track = obj.track;
+		return true;
+	};
+}
+
 /**
  * DOM bindings and event handlers
  *
@@ -598,6 +1268,13 @@ function GUI() {
 	this.domHomeButton = gebi("idHomeButton");
 	this.domSaveButton = gebi("idSaveButton");
 	this.domUrlButton = gebi("idUrlButton");
+	this.domRecordButton = gebi("idRecordButton");
+	this.domReplayButton = gebi("idReplayButton");
+	this.domTrackButton = gebi("idTrackButton");
+	this.domSessionButton = gebi("idSessionButton");
+	this.domHeatmapButton = gebi("idHeatmapButton");
+	this.domLinesButton = gebi("idLinesButton");
+	this.domTraceButton = gebi("idTraceButton");
 	this.domPopup = gebi("idPopup");
 	this.domFormulaButton = gebi("idFormulaButton");
 	this.domFormulaList = gebi("idFormulaList");
@@ -607,6 +1284,12 @@ function GUI() {
 	this.domOutcolourList = gebi("idOutcolourList");
 	this.domPlaneButton = gebi("idPlaneButton");
 	this.domPlaneList = gebi("idPlaneList");
+	this.domJuliaButton = gebi("idJuliaButton");
+	this.domJuliaValue = gebi("idJuliaValue");
+	this.domShortcutsButton = gebi("idShortcutsButton");
+	this.domMaxIterLeft = gebi("idMaxIterLeft");
+	this.domMaxIterRail = gebi("idMaxIterRail");
+	this.domMaxIterThumb = gebi("idMaxIterThumb");
 	this.domZoomSpeedLeft = gebi("idZoomSpeedLeft");
 	this.domZoomSpeedRail = gebi("idZoomSpeedRail");
 	this.domZoomSpeedThumb = gebi("idZoomSpeedThumb");
@@ -626,6 +1309,8 @@ function GUI() {
 	this.domFramerateRail = gebi("idFramerateRail");
 	this.domFramerateThumb = gebi("idFramerateThumb");
 	this.domHiResButton = gebi("idHiResButton");
+	this.domProfileButton = gebi("idProfileButton");
+	this.domProfileList = gebi("idProfileList");
 	this.domWxH = gebi("WxH");
 	this.domPilot = gebi("idPilot");
 	this.domResize = gebi("idResize");
@@ -669,6 +1354,54 @@ function GUI() {
 	// center popup sequence number so only last call to activate it will hide it
 	this.popupSeqnr = 0;
 
+	/** @member {Recorder} - flight recorder */
+	this.recorder = new Recorder();
+
+	/** @member {Object} - parameter plane position to return to when leaving julia mode */
+	this.juliaReturn = null;
+
+	/** @member {boolean} - save next rendered frame, canvas is painted by a render worker */
+	this.savePending = false;
+
+	/**
+	 * Save rendered frame as PNG with embedded JSON
+	 *
+	 * @param {ZoomerFrame} frame
+	 */
+	this.saveFrame = (frame) => {
+		const {viewWidth, viewHeight} = frame;
+
+		// frame returns to the pool, work on a copy
+		const rgba = frame.rgba.slice(0, viewWidth * viewHeight);
+		Config.embed(rgba, viewWidth, viewHeight);
+
+		const canvas = document.createElement("canvas");
+		canvas.width = viewWidth;
+		canvas.height = viewHeight;
+		canvas.getContext("2d").putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer), viewWidth, viewHeight), 0, 0);
+
+		// save image through clicking hidden <a href="blob"/>
+		const link = document.createElement("a");
+		link.download = "image.png";
+		canvas.toBlob(function (blob) {
+			link.href = URL.createObjectURL(blob);
+			link.click();
+		}, "image/png");
+	};
+
+	/**
+	 * Show julia mode and its parameter
+	 */
+	this.updateJulia = () => {
+		this.domJuliaButton.setAttribute("aria-pressed", Formula.julia ? "true" : "false");
+		if (Formula.julia)
+			this.domJuliaValue.innerHTML = Formula.juliaX.toFixed(6) + (Formula.juliaY < 0 ? "" : "+") + Formula.juliaY.toFixed(6) + "i";
+		else
+			this.domJuliaValue.innerHTML = "";
+
+		this.domShortcutsButton.setAttribute("aria-pressed", Formula.cardioid || Formula.periodicity ? "true" : "false");
+	};
+
 	/*
 	 * Construct UI components
 	 */
@@ -684,18 +1417,22 @@ function GUI() {
 		Config.densityMin, Config.densityMax, Config.densityNow);
 	this.Framerate = new Aria.Slider(this.domFramerateThumb, this.domFramerateRail,
 		Config.framerateMin, Config.framerateMax, Config.framerateNow);
+	this.maxIterCap = new Aria.Slider(this.domMaxIterThumb, this.domMaxIterRail,
+		Config.maxIterCapMin, Config.maxIterCapMax, Config.maxIterCapNow);
 
 	// construct controlling listbox button
 	this.formula = new Aria.ListboxButton(this.domFormulaButton, this.domFormulaList);
 	this.incolour = new Aria.ListboxButton(this.domIncolourButton, this.domIncolourList);
 	this.outcolour = new Aria.ListboxButton(this.domOutcolourButton, this.domOutcolourList);
 	this.plane = new Aria.ListboxButton(this.domPlaneButton, this.domPlaneList);
+	this.profile = new Aria.ListboxButton(this.domProfileButton, this.domProfileList);
 
 	// set lists
 	this.formula.listbox.focusItem(gebi("formula_" + Formula.formula));
 	this.incolour.listbox.focusItem(gebi("incolour_" + Formula.incolour));
 	this.outcolour.listbox.focusItem(gebi("outcolour_" + Formula.outcolour));
 	this.plane.listbox.focusItem(gebi("plane_" + Formula.plane));
+	this.updateJulia();
 
 	// enable if already at maximum
 	if (window.devicePixelRatio === 1 || Config.forceDevicePixelRatio)
@@ -707,10 +1444,19 @@ function GUI() {
 	this.home = new Aria.Button(this.domHomeButton, true);
 	this.save = new Aria.Button(this.domSaveButton, true);
 	this.url = new Aria.Button(this.domUrlButton, true);
+	this.record = new Aria.Button(this.domRecordButton, false);
+	this.replay = new Aria.Button(this.domReplayButton, false);
+	this.track = new Aria.Button(this.domTrackButton, true);
+	this.session = new Aria.Button(this.domSessionButton, true);
+	this.heatmap = new Aria.Button(this.domHeatmapButton, false);
+	this.lines = new Aria.Button(this.domLinesButton, true);
+	this.trace = new Aria.Button(this.domTraceButton, true);
 	this.rotate = new Aria.Button(this.domRotateButton, false);
 	this.theme = new Aria.Button(this.domThemeButton, true);
 	this.colour = new Aria.Button(this.domColourButton, true);
 	this.hiRes = new Aria.Button(this.domHiResButton, false);
+	this.julia = new Aria.Button(this.domJuliaButton, false);
+	this.shortcuts = new Aria.Button(this.domShortcutsButton, false);
 
 	/*
 	 * It's easier to redraw the sliders than to hack "em" into them
@@ -721,6 +1467,7 @@ function GUI() {
 		this.paletteSpeed.moveSliderTo(this.paletteSpeed.valueNow);
 		this.density.moveSliderTo(this.density.valueNow);
 		this.Framerate.moveSliderTo(this.Framerate.valueNow);
+		this.maxIterCap.moveSliderTo(this.maxIterCap.valueNow);
 	};
 
 	/** @member {float} - scaling of `idNav` within `idNavWrapper` */
@@ -891,8 +1638,10 @@ function GUI() {
 		 * @date 2020-11-16 00:32:31
 		 * NOTE: this will erase the canvas contents
 		 */
-		this.domZoomer.width = viewWidth;
-		this.domZoomer.height = viewHeight;
+		if (!this.zoomer || this.zoomer.paintWorker < 0) {
+			this.domZoomer.width = viewWidth;
+			this.domZoomer.height = viewHeight;
+		}
 
 		/*
 		 * Update canvas CSS with forced width?height
@@ -923,8 +1672,8 @@ function GUI() {
 	 * `alpha` might have an effect, however not noticed yet.
 	 */
 
-	/** @member {CanvasRenderingContext2D} */
-	this.ctx = this.domZoomer.getContext("2d", {desynchronized: true});
+	/** @member {CanvasRenderingContext2D} - null when painted by a render worker */
+	this.ctx = null;
 
 	// compensate broken CSS pixels by over-sampling the canvas
 	let realClientWidth = Config.forceWidth || Math.round(this.domZoomer.parentNode.clientWidth * this.devicePixelRatio);
@@ -947,6 +1696,49 @@ function GUI() {
 		 */
 		disableWW: false,
 
+		/**
+		 * Paint from a render worker when `OffscreenCanvas` is available.
+		 * JSON is then embedded when saving instead of every frame.
+		 *
+		 * @member {HTMLCanvasElement} - Canvas to transfer
+		 */
+		offscreenCanvas: this.domZoomer,
+
+		/**
+		 * Supersampling anti-aliasing.
+		 *
+		 * @member {int} - 1=off, 2=2x2, 3=3x3, 4=4x4
+		 */
+		supersample: Config.supersample,
+
+		/**
+		 * Order of line refinement.
+		 *
+		 * @member {string} - "worst-score", "center-out", "target" or "interlace"
+		 */
+		lineStrategy: Config.lineStrategy,
+
+		/**
+		 * Per-frame timings for the "Trace" button, about a minute at 20 FPS.
+		 *
+		 * @member {int} - Number of frames to keep
+		 */
+		traceSize: 1200,
+
+		/**
+		 * For client coordinates of the absolute coordinate API.
+		 *
+		 * @member {float} - Physical pixels per CSS pixel
+		 */
+		devicePixelRatio: this.devicePixelRatio,
+
+		/**
+		 * Bilinear sampling when rotated, against shimmering.
+		 *
+		 * @member {boolean} - Enable bilinear sampling
+		 */
+		bilinear: true,
+
 		/**
 		 * Additional allocation of a new frame.
 		 * Setup optional palette and add custom settings
@@ -981,6 +1773,43 @@ function GUI() {
 			// const diffSec = (currentFrame.timeStart - displayFrame.timeStart) / 1000;
 			const diffSec = (1000 / zoomer.avgFrameRate) / 1000;
 
+			/*
+			 * Replay, the track replaces mouse and autopilot input
+			 */
+			const replaying = this.recorder.replaying;
+			if (replaying) {
+				const changes = this.recorder.replay(performance.now());
+				if (changes) {
+					if ("theme" in changes || "seed" in changes)
+						palette.loadTheme();
+					if (changes.reload) {
+						this.formula.listbox.focusItem(document.getElementById("formula_" + Formula.formula));
+						this.incolour.listbox.focusItem(document.getElementById("incolour_" + Formula.incolour));
+						this.outcolour.listbox.focusItem(document.getElementById("outcolour_" + Formula.outcolour));
+						this.plane.listbox.focusItem(document.getElementById("plane_" + Formula.plane));
+						this.updateJulia();
+
+						// inject key frame outside frame construction
+						setTimeout(this.reload);
+					}
+				}
+
+				// end of track
+				if (!this.recorder.replaying)
+					this.domReplayButton.setAttribute("aria-pressed", "false");
+			}
+
+			/*
+			 * Deep zoom, move coordinate origin before anything uses coordinates.
+			 * Views are rebased before `calcView` inherits the rulers of `dispView`.
+			 */
+			const shift = Config.rebase();
+			if (shift) {
+				zoomer.rebase(shift.dx, shift.dy);
+				this.dragCenterX -= shift.dx;
+				this.dragCenterY -= shift.dy;
+			}
+
 			/*
 			 * @date 2020-10-26 12:42:18
 			 * Use the view angle as that is what you see when clicking. `Config.angle` lags behind.
@@ -989,7 +1818,20 @@ function GUI() {
 			this.mouseX = Config.centerX + dx;
 			this.mouseY = Config.centerY + dy;
 
-			if (this.zoomAccel) {
+			// refine towards the zoom target first, when that strategy is selected
+			zoomer.targetX = this.mouseX;
+			zoomer.targetY = this.mouseY;
+
+			// copy mirrored rows when the view straddles the real axis
+			zoomer.mirrorY = Config.isSymmetric();
+
+			// "distance" outcolour is in screen pixels
+			Formula.pixelSize = 2 * Config.radius / Math.min(zoomer.viewWidth, zoomer.viewHeight);
+
+			if (replaying) {
+				// navigation change
+				this.zoomer.setPosition(Config.centerX, Config.centerY, Config.radius, Config.angle);
+			} else if (this.zoomAccel) {
 				// convert normalised zoom speed (-1<=speed<=+1) to magnification and scale to this time interval
 				const magnify = Math.pow(Config.autoPilot ? Config.zoomSpeedAuto : Config.zoomSpeedManual, this.zoomAccel * diffSec);
 
@@ -1009,8 +1851,9 @@ function GUI() {
 			}
 
 			// maxIter for embedded calc(), maxDepth for formula.js
+			const {x, y} = Config.save();
 			this.domStatusTitle.innerHTML = JSON.stringify({
-				x: Config.centerX, y: Config.centerY, radius: Config.radius, angle: Config.angle, density: Config.density, iter: Config.maxIter,
+				x: x, y: y, radius: Config.radius, angle: Config.angle, density: Config.density, iter: Config.maxIter,
 				complete: Math.round(dispFrame.complete * 100000) / 100000
 			});
 		},
@@ -1036,6 +1879,60 @@ function GUI() {
 			return Formula.calculate(x, y);
 		},
 
+		/**
+		 * Line workers need `Formula`
+		 *
+		 * @member {string[]} - Absolute URLs
+		 */
+		workerScripts: [new URL("formula.js", location.href).href],
+
+		/**
+		 * Snapshot of settings for line workers.
+		 *
+		 * @param {Zoomer} zoomer - This
+		 * @return {Object} - State for `onWorkerPixel()`
+		 */
+		onWorkerBegin: (zoomer) => {
+			return {
+				config: {
+					maxIter: Config.maxIter,
+					maxIterCoef: Config.maxIterCoef,
+					maxIterBump: Config.maxIterBump,
+					maxIterCap: Config.maxIterCap,
+					paletteSize: Config.paletteSize
+				},
+				formula: Formula.formula,
+				incolour: Formula.incolour,
+				outcolour: Formula.outcolour,
+				plane: Formula.plane,
+				julia: Formula.julia,
+				juliaX: Formula.juliaX,
+				juliaY: Formula.juliaY,
+				cardioid: Formula.cardioid,
+				periodicity: Formula.periodicity,
+				pixelSize: Formula.pixelSize,
+				reference: Formula.reference
+			};
+		},
+
+		/**
+		 * `onUpdatePixel()` inside line workers.
+		 *
+		 * @member {function}
+		 */
+		onWorkerPixel: Settings.onWorkerPixel,
+
+		/**
+		 * Line merged, collect adaptive maxIter.
+		 *
+		 * @param {Zoomer} zoomer - This
+		 * @param {Object} state  - Line worker state
+		 */
+		onWorkerEnd: (zoomer, state) => {
+			if (Config.maxIter < state.config.maxIter)
+				Config.maxIter = state.config.maxIter;
+		},
+
 		/**
 		 * Start extracting (rotated) RGBA values from (paletted) pixels.
 		 * Extract rotated view from pixels and store them in specified imagedata.
@@ -1048,7 +1945,7 @@ function GUI() {
 		onRenderFrame: (zoomer, frame) => {
 			// inject palette into frame
 			if (frame.palette)
-				palette.setPalette(frame.palette, Math.round(Config.paletteOffsetFloat), Config.maxIter);
+				palette.setPalette(frame.palette, Math.round(Config.paletteOffsetFloat));
 		},
 
 		/**
@@ -1061,6 +1958,11 @@ function GUI() {
 
 			const now = performance.now();
 
+			if (this.savePending && frame.durationRENDER) {
+				this.savePending = false;
+				this.saveFrame(frame);
+			}
+
 			if (now - this.lastNow >= 250) {
 
 				// round for displaying
@@ -1080,8 +1982,16 @@ function GUI() {
 					actFPS: Math.round(zoomer.avgFrameRate * 10) / 10,
 					drop: zoomer.cntDropped,
 					lost: zoomer.cntLost,
+					wRT: zoomer.avgWorkerRoundTrip.map(Math.round),
+					wDrop: zoomer.cntWorkerDropped,
+					wLost: zoomer.cntWorkerLost,
+					lRT: zoomer.lineWorkers.map((lineWorker) => Math.round(lineWorker.avgRoundTrip)),
+					lDrop: zoomer.lineWorkers.map((lineWorker) => lineWorker.cntDropped),
 				});
 
+				// adaptive maxIter
+				this.domMaxIterLeft.innerHTML = Config.maxIter;
+
 				this.lastNow = now;
 			}
 
@@ -1112,50 +2022,14 @@ function GUI() {
 		 */
 		onPutImageData: (zoomer, frame) => {
 
+			// canvas transferred to the paint worker
+			if (!this.ctx)
+				return;
+
 			/*
 			 * Inject JSON into frame
 			 */
-			const json = JSON.stringify({
-				x: Config.centerX,
-				y: Config.centerY,
-				r: Config.radius,
-				a: Config.angle,
-				density: Config.density,
-				iter: Config.maxIter,
-				theme: Config.theme,
-				seed: Config.seed,
-				formula: Formula.formula,
-				incolour: Formula.incolour,
-				outcolour: Formula.outcolour,
-				plane: Formula.plane,
-			});
-
-			let k = frame.viewWidth + 1; // skip first line and column
-			let maxk = frame.viewWidth * frame.viewHeight;
-			let rgba = frame.rgba;
-			done:
-				for (let j = 0; j < json.length; j++) {
-					let code = json.charCodeAt(j);
-					for (let i = 0; i < 8; i++) {
-						// pixel must not be transparent
-						while (!rgba[k]) {
-							if (k >= maxk)
-								break done;
-							k++;
-						}
-
-						// inject bit
-						if (code & 1)
-							rgba[k] |= 1;
-						else
-							rgba[k] &= ~1;
-						code >>= 1;
-
-						if (k >= maxk)
-							break done;
-						k++;
-					}
-				}
+			Config.embed(frame.rgba, frame.viewWidth, frame.viewHeight);
 
 			/*
 			 * draw frame onto canvas
@@ -1165,9 +2039,19 @@ function GUI() {
 		}
 	});
 
+	// paint on the main thread when the canvas could not be transferred
+	if (this.zoomer.paintWorker < 0)
+		this.ctx = this.domZoomer.getContext("2d", {desynchronized: true});
+
 	// set initial position. Do it now for UI control consistency (read: angle)
 	this.zoomer.setPosition(Config.centerX, Config.centerY, Config.radius, Config.angle);
 
+	// flight recorder samples the navigation of every frame
+	this.zoomer.addEventListener("beginFrame", (zoomer, calcView, calcFrame, dispView, dispFrame) => {
+		if (this.recorder.recording)
+			this.recorder.record(performance.now());
+	});
+
 	/*
 	 * callbacks and listeners
 	 */
@@ -1232,7 +2116,24 @@ function GUI() {
 		Config.framerateNow = newValue;
 		this.domFramerateLeft.innerHTML = newValue;
 
-		this.zoomer.frameRate = Config.framerateNow;
+		this.zoomer.controller.maxFrameRate = Config.framerateNow;
+		if (this.zoomer.controller.mode === "fixed")
+			this.zoomer.frameRate = Config.framerateNow;
+		else
+			this.zoomer.frameRate = Math.min(this.zoomer.frameRate, Config.framerateNow);
+	});
+	this.maxIterCap.setCallbackValueChange((newValue) => {
+		Config.maxIterCapNow = newValue;
+		Config.maxIterCap = Math.round(Math.exp(newValue));
+		this.activatePopup("Max iter: " + Config.maxIterCap);
+
+		// lowering the cap also lowers maxIter
+		if (Config.maxIter > Config.maxIterCap)
+			Config.maxIter = Config.maxIterCap;
+		this.domMaxIterLeft.innerHTML = Config.maxIter;
+
+		// make zoomer responsive to change
+		this.zoomer.turboActive = 0;
 	});
 
 	// listboxes
@@ -1270,6 +2171,47 @@ function GUI() {
 			this.reload();
 		}
 	});
+	this.profile.listbox.setCallbackFocusChange((focusedItem) => {
+		this.domProfileButton.innerText = focusedItem.innerText;
+		const profile = focusedItem.id.substr(8);
+		// the slider sets the upper bound
+		this.zoomer.controller.setProfile(this.zoomer, profile, Config.framerateNow);
+	});
+	// the slider sets the frame rate, "smooth" and "sharp" profiles use it as maximum
+	this.profile.listbox.focusItem(gebi("profile_fixed"));
+	this.julia.setCallbackValueChange((newValue) => {
+		if (newValue) {
+			// remember parameter plane position
+			this.juliaReturn = Config.save();
+
+			// parameter under the cursor, as last seen by `onBeginFrame()`
+			Formula.juliaX = Number.parseFloat(Config.originX) + this.mouseX;
+			Formula.juliaY = Number.parseFloat(Config.originY) + this.mouseY;
+			Formula.julia = true;
+
+			Config.home();
+		} else {
+			Formula.julia = false;
+
+			// back to where the parameter was taken
+			if (this.juliaReturn) {
+				Config.moveTo(this.juliaReturn.x, this.juliaReturn.y, this.juliaReturn.r);
+				Config.angle = this.juliaReturn.a;
+				Config.maxIter = this.juliaReturn.iter;
+				Config.rebase();
+				this.juliaReturn = null;
+			} else {
+				Config.home();
+			}
+		}
+
+		this.updateJulia();
+		this.reload();
+
+		// update density slider/label
+		this.density.moveSliderTo(Config.densityNow);
+		this.density.updateLabels();
+	});
 
 	// buttons
 	this.power.setCallbackValueChange((newValue) => {
@@ -1319,6 +2261,12 @@ function GUI() {
 		 */
 		this.activatePopup("Saving...");
 
+		// transferred canvas cannot be read, save the next frame
+		if (this.zoomer.paintWorker >= 0) {
+			this.savePending = true;
+			return;
+		}
+
 		// save image through clicking hidden <a href="blob"/>
 		const link = document.createElement("a");
 		link.download = "image.png";
@@ -1329,22 +2277,9 @@ function GUI() {
 	});
 	this.url.setCallbackValueChange((newValue) => {
 		/*
-		 * Inject JSON into frame
+		 * Get navigation data
 		 */
-		const obj = {
-			x: Config.centerX,
-			y: Config.centerY,
-			r: Config.radius,
-			a: Config.angle,
-			density: Config.density,
-			iter: Config.maxIter,
-			theme: Config.theme,
-			seed: Config.seed,
-			formula: Formula.formula,
-			incolour: Formula.incolour,
-			outcolour: Formula.outcolour,
-			plane: Formula.plane,
-		};
+		const obj = Config.save();
 
 		// convert to query string
 		let qarr = [];
@@ -1431,9 +2366,101 @@ function GUI() {
 		} else {
 			this.devicePixelRatio = 1;
 		}
+		this.zoomer.devicePixelRatio = this.devicePixelRatio;
 
 		// change will be detected on next `onEndFrame()`.
 	});
+	this.record.setCallbackValueChange((newValue) => {
+		if (newValue) {
+			// stop replay
+			this.domReplayButton.setAttribute("aria-pressed", "false");
+
+			this.recorder.startRecording(performance.now());
+			this.activatePopup("Recording");
+		} else {
+			this.recorder.recording = false;
+			this.activatePopup("Recording stopped");
+		}
+	});
+	this.replay.setCallbackValueChange((newValue) => {
+		if (newValue) {
+			// stop recording
+			this.domRecordButton.setAttribute("aria-pressed", "false");
+
+			if (!this.recorder.startReplay(performance.now())) {
+				this.domReplayButton.setAttribute("aria-pressed", "false");
+				this.activatePopup("Nothing recorded");
+			}
+		} else {
+			this.recorder.replaying = false;
+		}
+	});
+	this.track.setCallbackValueChange((newValue) => {
+		if (!this.recorder.track.length) {
+			this.activatePopup("Nothing recorded");
+			return;
+		}
+
+		/*
+		 * Popup
+		 */
+		this.activatePopup("Saving...");
+
+		// save track through clicking hidden <a href="blob"/>
+		const link = document.createElement("a");
+		link.download = "track.json";
+		link.href = URL.createObjectURL(new Blob([this.recorder.save()], {type: "application/json"}));
+		link.click();
+	});
+	this.session.setCallbackValueChange((newValue) => {
+		/*
+		 * Popup
+		 */
+		this.activatePopup("Saving...");
+
+		const buffer = this.zoomer.saveSession(Config.saveSession());
+
+		// save session through clicking hidden <a href="blob"/>, gzipped when supported
+		const link = document.createElement("a");
+		link.download = "session.jfz";
+		if (window.CompressionStream) {
+			new Response(new Blob([buffer]).stream().pipeThrough(new CompressionStream("gzip"))).blob().then((blob) => {
+				link.href = URL.createObjectURL(blob);
+				link.click();
+			});
+		} else {
+			link.href = URL.createObjectURL(new Blob([buffer]));
+			link.click();
+		}
+	});
+	this.heatmap.setCallbackValueChange((newValue) => {
+		this.zoomer.heatmap = newValue;
+	});
+	this.lines.setCallbackValueChange((newValue) => {
+		// cycle through strategies
+		const names = Object.keys(ZoomerView.lineStrategies);
+		Config.lineStrategy = names[(names.indexOf(Config.lineStrategy) + 1) % names.length];
+		this.zoomer.lineStrategy = Config.lineStrategy;
+
+		this.activatePopup("Lines: " + Config.lineStrategy);
+	});
+	this.trace.setCallbackValueChange((newValue) => {
+		if (!this.zoomer.trace.entries.length) {
+			this.activatePopup("Nothing traced");
+			return;
+		}
+
+		/*
+		 * Popup
+		 */
+		this.activatePopup("Saving...");
+
+		// save Chrome trace-event file through clicking hidden <a href="blob"/>
+		const link = document.createElement("a");
+		link.download = "trace.json";
+		link.href = URL.createObjectURL(new Blob([this.zoomer.trace.exportChromeTrace(this.zoomer.instanceId)], {type: "application/json"}));
+		link.click();
+	});
 
 	/*
 	 *
@@ -1507,9 +2534,21 @@ function GUI() {
 	/**
 	 * (re)load initial frame
 	 */
+	this.shortcuts.setCallbackValueChange((newValue) => {
+		// interior shortcuts, off renders exactly like XaoS
+		Formula.cardioid = newValue;
+		Formula.periodicity = newValue;
+		this.activatePopup("Shortcuts: " + (newValue ? "on" : "off"));
+
+		this.reload();
+	});
+
 	this.reload = () => {
 		const zoomer = this.zoomer;
 
+		// smooth colouring has fractional pixels
+		zoomer.floatPixels = (Formula.outcolour === 9);
+
 		// Create a small key frame (mandatory)
 		const keyView = new ZoomerView(64, 64, 64, 64); // Explicitly square
 
@@ -1882,17 +2921,28 @@ function GUI() {
 			this.domHomeButton,
 			this.domSaveButton,
 			this.domUrlButton,
+			this.domRecordButton,
+			this.domReplayButton,
+			this.domTrackButton,
+			this.domSessionButton,
+			this.domHeatmapButton,
+			this.domLinesButton,
+			this.domTraceButton,
 			this.domFormulaButton,
 			this.domIncolourButton,
 			this.domOutcolourButton,
 			this.domPlaneButton,
+			this.domJuliaButton,
+			this.domShortcutsButton,
+			this.domMaxIterThumb,
 			this.domZoomSpeedThumb,
 			this.domRotateThumb,
 			this.domDensityThumb,
 			this.domPaletteSpeedThumb,
 			this.domThemeButton,
 			this.domColourButton,
-			this.domFramerateThumb];
+			this.domFramerateThumb,
+			this.domProfileButton];
 
 		// get rectangle within page
 		const navRect = this.getRect(this.domNav);
@@ -1959,6 +3009,11 @@ function GUI() {
 			this.autoPilot.buttonDown();
 			this.domAutoPilotButton.focus();
 			break;
+		case "B":
+		case "b":
+			this.shortcuts.buttonDown();
+			this.domShortcutsButton.focus();
+			break;
 		case "C":
 			this.paletteSpeed.moveSliderTo(this.paletteSpeed.valueNow + 1);
 			this.domPaletteSpeedThumb.focus();
@@ -1972,11 +3027,21 @@ function GUI() {
 			this.paletteGroup.radioButtons[1].buttonDown();
 			this.domDefaultPaletteButton.focus();
 			break;
+		case "E":
+		case "e":
+			this.record.buttonDown();
+			this.domRecordButton.focus();
+			break;
 		case "F":
 		case "f":
 			if (!this.formula.toggleListbox(event))
 				this.domZoomer.focus();
 			break;
+		case "G":
+		case "g":
+			this.heatmap.buttonDown();
+			this.domHeatmapButton.focus();
+			break;
 		case "H":
 		case "h":
 			this.home.buttonDown();
@@ -1987,10 +3052,30 @@ function GUI() {
 			if (!this.incolour.toggleListbox(event))
 				this.domZoomer.focus();
 			break;
+		case "J":
+		case "j":
+			this.julia.buttonDown();
+			this.domJuliaButton.focus();
+			break;
+		case "K":
+		case "k":
+			this.track.buttonDown();
+			this.domZoomer.focus();
+			break;
+		case "L":
+		case "l":
+			this.lines.buttonDown();
+			this.domLinesButton.focus();
+			break;
 		case "M":
 		case "m":
 			this.domMenu.dispatchEvent(new MouseEvent("mousedown"));
 			break;
+		case "N":
+		case "n":
+			this.session.buttonDown();
+			this.domZoomer.focus();
+			break;
 		case "O":
 		case "o":
 			if (!this.outcolour.toggleListbox(event))
@@ -2032,6 +3117,16 @@ function GUI() {
 			this.url.buttonDown();
 			this.domZoomer.focus();
 			break;
+		case "X":
+		case "x":
+			this.trace.buttonDown();
+			this.domTraceButton.focus();
+			break;
+		case "Y":
+		case "y":
+			this.replay.buttonDown();
+			this.domReplayButton.focus();
+			break;
 		case "Z":
 			this.zoomSpeed.moveSliderTo(this.zoomSpeed.valueNow + Math.log(1.05)); // raise 5%
 			this.domZoomSpeedThumb.focus();
@@ -2066,6 +3161,11 @@ function GUI() {
 			this.autoPilot.buttonUp();
 			this.domZoomer.focus();
 			break;
+		case "B":
+		case "b":
+			this.shortcuts.buttonUp();
+			this.domZoomer.focus();
+			break;
 		case "C":
 		case "c":
 			this.domZoomer.focus();
@@ -2075,14 +3175,44 @@ function GUI() {
 			this.paletteGroup.radioButtons[1].buttonUp();
 			this.domZoomer.focus();
 			break;
+		case "E":
+		case "e":
+			this.record.buttonUp();
+			this.domZoomer.focus();
+			break;
+		case "G":
+		case "g":
+			this.heatmap.buttonUp();
+			this.domZoomer.focus();
+			break;
 		case "H":
 		case "h":
 			this.home.buttonUp();
 			this.domZoomer.focus();
 			break;
+		case "J":
+		case "j":
+			this.julia.buttonUp();
+			this.domZoomer.focus();
+			break;
+		case "K":
+		case "k":
+			this.track.buttonUp();
+			this.domZoomer.focus();
+			break;
+		case "L":
+		case "l":
+			this.lines.buttonUp();
+			this.domZoomer.focus();
+			break;
 		case "M":
 		case "m":
 			break;
+		case "N":
+		case "n":
+			this.session.buttonUp();
+			this.domZoomer.focus();
+			break;
 		case "Q":
 		case "q":
 			this.power.buttonUp();
@@ -2110,6 +3240,16 @@ function GUI() {
 			this.url.buttonUp();
 			this.domZoomer.focus();
 			break;
+		case "X":
+		case "x":
+			this.trace.buttonUp();
+			this.domZoomer.focus();
+			break;
+		case "Y":
+		case "y":
+			this.replay.buttonUp();
+			this.domZoomer.focus();
+			break;
 		case "Z":
 		case "z":
 			this.domZoomer.focus();
@@ -2171,6 +3311,83 @@ function GUI() {
 		if (!file)
 			return; // not a file drop event
 
+		if (file.name.endsWith(".json")) {
+			// flight recorder track
+			const reader = new FileReader();
+			reader.onload = () => {
+				if (this.recorder.load(reader.result)) {
+					this.domRecordButton.setAttribute("aria-pressed", "false");
+					this.domReplayButton.setAttribute("aria-pressed", "false");
+					this.activatePopup("Track loaded");
+				} else {
+					this.activatePopup("File does not contain a track");
+				}
+			};
+			reader.onerror = () => {
+				this.activatePopup("Drop error");
+			};
+
+			reader.readAsText(file);
+			return;
+		}
+
+		if (file.name.endsWith(".jfz")) {
+			// engine session
+			const reader = new FileReader();
+			reader.onload = () => {
+				const bytes = new Uint8Array(reader.result);
+
+				// gzip magic
+				const gzipped = bytes[0] === 0x1f && bytes[1] === 0x8b;
+				const decoded = gzipped ? new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"))).arrayBuffer() : Promise.resolve(reader.result);
+
+				decoded.then((buffer) => {
+					const session = this.zoomer.parseSession(buffer);
+					if (!session || !session.state) {
+						this.activatePopup("File does not contain a session");
+						return;
+					}
+
+					// load config
+					Config.loadSession(session.state);
+					palette.loadTheme();
+
+					this.formula.listbox.focusItem(document.getElementById("formula_" + Formula.formula));
+					this.incolour.listbox.focusItem(document.getElementById("incolour_" + Formula.incolour));
+					this.outcolour.listbox.focusItem(document.getElementById("outcolour_" + Formula.outcolour));
+					this.plane.listbox.focusItem(document.getElementById("plane_" + Formula.plane));
+					this.updateJulia();
+
+					// update density slider so value does not change when opening the menu
+					this.density.moveSliderTo(Config.densityNow);
+
+					// deep zoom, setup reference orbit before workers get their state
+					const shift = Config.rebase();
+
+					// the rulers and pixels are sized by supersampling
+					if (this.zoomer.supersample !== Config.supersample) {
+						this.zoomer.supersample = Config.supersample;
+						this.zoomer.resize(this.zoomer.viewWidth, this.zoomer.viewHeight, this.zoomer.enableAngle);
+					}
+
+					// resume instead of `this.reload()`
+					this.zoomer.loadSession(session);
+					if (shift)
+						this.zoomer.rebase(shift.dx, shift.dy);
+
+					this.activatePopup("Session loaded");
+				}, () => {
+					this.activatePopup("Failed to decode file");
+				});
+			};
+			reader.onerror = () => {
+				this.activatePopup("Drop error");
+			};
+
+			reader.readAsArrayBuffer(file);
+			return;
+		}
+
 		// Create reader.
 		const reader = new FileReader();
 		reader.onload = () => {
@@ -2192,6 +3409,7 @@ function GUI() {
 					// load config
 					Config.load(qstr);
 					palette.loadTheme();
+					this.updateJulia();
 
 					// update density slider so value does not change when opening the menu
 					// NOTE: slider is exponential
@@ -2560,6 +3778,10 @@ function GUI() {
 			const diffSec = this.directionalInterval / 1000;
 			const calcView = this.zoomer.calcView;
 
+			// replay owns navigation
+			if (this.recorder.replaying)
+				return;
+
 			if (Config.autoPilot) {
 				if (calcView.reachedLimits()) {
 					this.autopilotGesture = ZOOMOUT;
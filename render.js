@@ -0,0 +1,234 @@
+/*
+ * Headless renderer. Renders a fractal into a PNG image without a browser.
+ * It takes the same navigation data as the URL and the JSON embedded in saved images.
+ *
+ * Usage:
+ * 	node render.js <output.png> [key=value ...]
+ *
+ * Example:
+ * 	node render.js image.png x=-0.743643887 y=0.131825904 r=0.0001 iter=1000 theme=2 seed=1234 w=3840 h=2160
+ *
+ * A copied URL or a query string is also accepted.
+ * Width and height default to 1920x1080.
+ * Add `ss=2` (up to 4) for 2x2 supersampling anti-aliasing.
+ *
+ * Frame sequences for videos:
+ * 	node render.js frame.png x=-0.75 y=0 r=1.5 x1=-0.743643887 y1=0.131825904 r1=0.0001 a1=90 fps=30 duration=20
+ * 	node render.js frame.png track=track.json fps=30
+ *
+ * With `duration` (seconds) the view moves from `x,y,r,a` to `x1,y1,r1,a1`, zooming at a constant rate.
+ * With `track` the view follows a flight recorder track, `duration` defaults to the length of the track.
+ * Frames are written as numbered PNGs, `frame-00000.png`, `frame-00001.png`, ...
+ * Every frame is calculated to completeness, inheriting pixels of the previous frame.
+ */
+/*
+ *  This file is part of jsFractalZoom - Fractal zoomer and splash video codec
+ *
+ *  Copyright (C) 2020, xyzzy@rockingship.org
+ *
+ *  This program is free software: you can redistribute it and/or modify
+ *  it under the terms of the GNU Affero General Public License as published
+ *  by the Free Software Foundation, either version 3 of the License, or
+ *  (at your option) any later version.
+ *
+ *  This program is distributed in the hope that it will be useful,
+ *  but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ *  GNU Affero General Public License for more details.
+ *
+ *  You should have received a copy of the GNU Affero General Public License
+ *  along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const {PNG} = require("pngjs");
+
+let outfile = process.argv[2];
+if (!outfile) {
+	console.log("usage: " + process.argv[1] + " <output.png> [key=value ...]");
+	process.exit();
+}
+
+/*
+ * The engine files are browser scripts, load them as such.
+ * `Config()` is the only one to peek at `window`.
+ */
+global.window = {devicePixelRatio: 1};
+for (const name of ["formula.js", "zoomer.js", "jsFractalZoom.js"])
+	vm.runInThisContext(fs.readFileSync(path.join(__dirname, name), "utf8"), {filename: name});
+
+/*
+ * Setup, same sequence as `jsFractalZoom.html`
+ */
+Config(); // setup initial static values
+Formula(); // setup initial static values
+const palette = new Palette();
+
+// set initial defaults
+Config.home();
+// set random palette, except for monochrome
+do {
+	palette.mkrandom();
+} while (Config.theme === 7);
+
+// override config/formula. Strip everything before the query string of an URL.
+let query = process.argv.slice(3).join("&");
+query = decodeURI(query.substring(query.indexOf("?") + 1));
+query = query.replace(/%26/g, '&');
+if (query)
+	Config.load(query);
+
+// sequence settings, `Config.load()` ignores them
+const args = {};
+for (const kv of query.split("&")) {
+	const [k, v] = kv.split("=");
+	if (v)
+		args[k] = v;
+}
+
+// flight recorder track
+const recorder = new Recorder();
+if (args.track && !recorder.load(fs.readFileSync(args.track, "utf8"))) {
+	console.log(args.track + ": not a track");
+	process.exit(1);
+}
+const track = args.track ? recorder.track : null;
+
+const fps = Number.parseFloat(args.fps) || 30;
+const duration = args.duration ? Number.parseFloat(args.duration) : track ? track[track.length - 1].t / 1000 : 0;
+const cntFrames = duration ? Math.round(duration * fps) + 1 : 1; // including the end
+
+// start and end view
+const start = Config.save();
+const end = {
+	x: args.x1 || start.x,
+	y: args.y1 || start.y,
+	r: args.r1 ? Number.parseFloat(args.r1) : start.r,
+	a: args.a1 ? Number.parseFloat(args.a1) : start.a,
+};
+
+// distance between start and end. Relative to end as that is where precision is needed when zooming in
+const bits = Formula.precision(Math.min(start.r, end.r));
+const distX = Formula.bigToDouble(Formula.parseBig(String(start.x), bits) - Formula.parseBig(String(end.x), bits), bits);
+const distY = Formula.bigToDouble(Formula.parseBig(String(start.y), bits) - Formula.parseBig(String(end.y), bits), bits);
+
+/**
+ * Set position for fraction `t` of the way from start to end.
+ * Radius changes exponentially, the center moves proportional to radius so zooming looks constant.
+ *
+ * @param {float} t - 0 <= t <= 1
+ * @returns {boolean} - true if origin jumped
+ */
+function moveAlong(t) {
+	const radius = start.r * Math.pow(end.r / start.r, t);
+	const f = (start.r === end.r) ? 1 - t : (radius - end.r) / (start.r - end.r);
+
+	Config.angle = start.a + (end.a - start.a) * t;
+	return Config.moveTo(Formula.addOrigin(String(end.x), distX * f, radius), Formula.addOrigin(String(end.y), distY * f, radius), radius);
+}
+
+// setup palette
+palette.loadTheme();
+
+const viewWidth = Config.forceWidth || 1920;
+const viewHeight = Config.forceHeight || 1080;
+const enableAngle = track ? track.some((event) => event.a) : (start.a !== 0 || end.a !== 0);
+const supersample = Config.supersample;
+const pixelWidth = supersample * (!enableAngle ? viewWidth : Math.ceil(Math.sqrt(viewWidth * viewWidth + viewHeight * viewHeight)));
+const pixelHeight = !enableAngle ? supersample * viewHeight : pixelWidth;
+
+/*
+ * Minimal stand-in for `Zoomer`, as far as `ZoomerView` is concerned.
+ * There is no state machine, frame expiry or PLL. Lines are updated until complete.
+ */
+const zoomer = {
+	allocFrame: (viewWidth, viewHeight, pixelWidth, pixelHeight, angle) => {
+		const frame = new ZoomerFrame(viewWidth, viewHeight, pixelWidth, pixelHeight, Formula.outcolour === 9);
+		frame.angle = angle;
+		frame.supersample = supersample;
+		frame.palette = new Uint32Array(65536);
+		return frame;
+	},
+	onUpdatePixel: (zoomer, frame, x, y) => {
+		return Formula.calculate(x, y);
+	},
+};
+
+/*
+ * Small key frame (mandatory), identical to `GUI.reload()`
+ */
+const keyView = new ZoomerView(64, 64, 64, 64); // Explicitly square
+
+// alternate views like `Zoomer`, a view inherits from the previous. Views are sized including supersampling
+const views = [new ZoomerView(supersample * viewWidth, supersample * viewHeight, pixelWidth, pixelHeight), new ZoomerView(supersample * viewWidth, supersample * viewHeight, pixelWidth, pixelHeight)];
+let previousView = null;
+
+if (track)
+	recorder.startReplay(0);
+
+for (let frameNr = 0; frameNr < cntFrames; frameNr++) {
+	/*
+	 * Position
+	 */
+	let reload = !previousView;
+	if (track) {
+		const changes = recorder.replay(frameNr * 1000 / fps);
+		if (changes) {
+			if ("theme" in changes || "seed" in changes)
+				palette.loadTheme();
+			if (changes.reload)
+				reload = true;
+		}
+	} else if (cntFrames > 1) {
+		if (moveAlong(frameNr / (cntFrames - 1)))
+			reload = true;
+	}
+
+	// deep zoom, move origin and keep the previous view in sync
+	const shift = Config.rebase();
+	if (shift && previousView)
+		previousView.rebase(shift.dx, shift.dy);
+
+	// "distance" outcolour is in display pixels like `GUI`, supersampling does not change the colours
+	Formula.pixelSize = 2 * Config.radius / Math.min(viewWidth, viewHeight);
+
+	if (reload) {
+		keyView.fill(Config.centerX, Config.centerY, Config.radius, Config.angle, zoomer, zoomer.onUpdatePixel);
+		previousView = keyView;
+	}
+
+	const view = views[frameNr & 1];
+	const frame = zoomer.allocFrame(viewWidth, viewHeight, pixelWidth, pixelHeight, Config.angle);
+	view.setPosition(frame, Config.centerX, Config.centerY, Config.radius, previousView);
+
+	// update inaccurate pixels until nothing left
+	while (view.updateLines(zoomer)) {
+	}
+
+	/*
+	 * RENDER
+	 */
+	palette.setPalette(frame.palette, Math.round(Config.paletteOffsetFloat));
+	frame.timeExpire = Infinity; // disable expiration
+	zoomerRenderFrame(frame);
+
+	// inject JSON into frame
+	Config.embed(frame.rgba, viewWidth, viewHeight);
+
+	/*
+	 * Output frame
+	 */
+	const filename = (cntFrames > 1) ? outfile.replace(/(\.png)?$/i, "-" + String(frameNr).padStart(5, "0") + ".png") : outfile;
+	const writePNG = new PNG({width: viewWidth, height: viewHeight});
+	Buffer.from(frame.rgba.buffer).copy(writePNG.data);
+	fs.writeFileSync(filename, PNG.sync.write(writePNG));
+
+	if (cntFrames > 1)
+		console.log(filename);
+
+	previousView = view;
+}
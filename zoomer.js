@@ -95,12 +95,13 @@ function zoomerMemcpy(dst, dstOffset, src, srcOffset, length) {
  * NOTE: data only, do not include functions to minimize transport overhead
  *
  * @class
- * @param {int}   viewWidth   - Screen width (pixels)
- * @param {int}   viewHeight  - Screen height (pixels)
- * @param {int}   pixelWidth  - Storage width (pixels)
- * @param {int}   pixelHeight - Storage Height (pixels)
+ * @param {int}     viewWidth     - Screen width (pixels)
+ * @param {int}     viewHeight    - Screen height (pixels)
+ * @param {int}     pixelWidth    - Storage width (pixels)
+ * @param {int}     pixelHeight   - Storage Height (pixels)
+ * @param {boolean} [floatPixels] - Fractional pixel values, for smooth colouring
  */
-function ZoomerFrame(viewWidth, viewHeight, pixelWidth, pixelHeight) {
+function ZoomerFrame(viewWidth, viewHeight, pixelWidth, pixelHeight, floatPixels) {
 
 	/** @member {int}
 	    @description Display width (pixels) */
@@ -122,13 +123,33 @@ function ZoomerFrame(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 	    @description Rotational angle (degrees) */
 	this.angle = 0;
 
+	/** @member {int}
+	    @description Supersampling, pixels per screen pixel in each direction */
+	this.supersample = 1;
+
+	/** @member {boolean}
+	    @description Bilinear sampling when rotated */
+	this.bilinear = false;
+
+	/** @member {float}
+	    @description Time (mSec) for bilinear sampling, the remainder falls back to nearest-neighbour */
+	this.bilinearBudget = 0;
+
+	/** @member {Float32Array}
+	    @description Heat-map overlay of columns, null when disabled. See `ZoomerView.measureHeat()` */
+	this.xHeat = null;
+
+	/** @member {Float32Array}
+	    @description Heat-map overlay of rows, null when disabled */
+	this.yHeat = null;
+
 	/** @member {Uint32Array}
 	    @description Canvas pixel buffer */
 	this.rgba = new Uint32Array(viewWidth * viewHeight);
 
-	/** @member {Uint16Array}
-	    @description Pixels */
-	this.pixels = this.palette ? new Uint16Array(pixelWidth * pixelHeight) : new Uint32Array(pixelWidth * pixelHeight);
+	/** @member {Uint32Array|Float32Array}
+	    @description Pixels. Fractional pixels are palette indices interpolated when rendering */
+	this.pixels = floatPixels ? new Float32Array(pixelWidth * pixelHeight) : new Uint32Array(pixelWidth * pixelHeight);
 
 	/** @member {Uint32Array}
 	    @description Worker RGBA palette */
@@ -142,6 +163,14 @@ function ZoomerFrame(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 	    @description Frame number. */
 	this.frameNr = 0;
 
+	/** @member {int}
+	    @description `Zoomer.instanceId` of owner, routes web worker replies */
+	this.instanceId = 0;
+
+	/** @member {boolean}
+	    @description Painted by the render worker onto the transferred canvas, `onPutImageData()` is skipped */
+	this.painted = false;
+
 	/*
 	 * Statistics
 	 */
@@ -191,9 +220,60 @@ function ZoomerFrame(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 	this.complete = 0;
 }
 
+/**
+ * Palette lookup of a fractional pixel, interpolated between neighbouring entries
+ *
+ * @param {Uint32Array} palette - Frame palette
+ * @param {float}       value   - Pixel value
+ * @return {int} - RGBA
+ */
+function zoomerPaletteLerp(palette, value) {
+	const k = Math.floor(value);
+	const f = value - k;
+
+	// 65535 is the interior colour, don't blend towards it
+	const rgb0 = palette[k];
+	if (f === 0 || k >= 65534)
+		return rgb0;
+	const rgb1 = palette[k + 1];
+
+	const r = (rgb0 & 255) + ((rgb1 & 255) - (rgb0 & 255)) * f;
+	const g = ((rgb0 >> 8) & 255) + (((rgb1 >> 8) & 255) - ((rgb0 >> 8) & 255)) * f;
+	const b = ((rgb0 >> 16) & 255) + (((rgb1 >> 16) & 255) - ((rgb0 >> 16) & 255)) * f;
+	const a = (rgb0 >>> 24) + ((rgb1 >>> 24) - (rgb0 >>> 24)) * f;
+
+	return r | g << 8 | b << 16 | a << 24;
+}
+
+/**
+ * Bilinear interpolation of four RGBA values
+ *
+ * @param {int}   rgb00 - Top-left
+ * @param {int}   rgb10 - Top-right
+ * @param {int}   rgb01 - Bottom-left
+ * @param {int}   rgb11 - Bottom-right
+ * @param {float} fx    - Horizontal fraction 0..1
+ * @param {float} fy    - Vertical fraction 0..1
+ * @return {int} - RGBA
+ */
+function zoomerBilinear(rgb00, rgb10, rgb01, rgb11, fx, fy) {
+	const w00 = (1 - fx) * (1 - fy);
+	const w10 = fx * (1 - fy);
+	const w01 = (1 - fx) * fy;
+	const w11 = fx * fy;
+
+	const r = (rgb00 & 255) * w00 + (rgb10 & 255) * w10 + (rgb01 & 255) * w01 + (rgb11 & 255) * w11;
+	const g = ((rgb00 >> 8) & 255) * w00 + ((rgb10 >> 8) & 255) * w10 + ((rgb01 >> 8) & 255) * w01 + ((rgb11 >> 8) & 255) * w11;
+	const b = ((rgb00 >> 16) & 255) * w00 + ((rgb10 >> 16) & 255) * w10 + ((rgb01 >> 16) & 255) * w01 + ((rgb11 >> 16) & 255) * w11;
+	const a = (rgb00 >>> 24) * w00 + (rgb10 >>> 24) * w10 + (rgb01 >>> 24) * w01 + (rgb11 >>> 24) * w11;
+
+	return (r + 0.5) | (g + 0.5) << 8 | (b + 0.5) << 16 | (a + 0.5) << 24;
+}
+
 /**
  * Extract rotated view from pixels and store them in specified imagedata
  * The pixel data is palette based, the imagedata is RGB
+ * Fractional pixels (`Float32Array`) require a palette.
  *
  * @param {ZoomerFrame} frame
  */
@@ -215,9 +295,73 @@ function zoomerRenderFrame(frame) {
 	 **!
 	 **/
 
-	const {viewWidth, viewHeight, pixelWidth, pixelHeight, angle, rgba, pixels, palette} = frame;
+	const {viewWidth, viewHeight, pixelWidth, pixelHeight, angle, rgba, pixels, palette, supersample} = frame;
+
+	// fractional pixels, interpolate palette
+	const smooth = palette && pixels instanceof Float32Array;
+
+	if (supersample > 1) {
+
+		// SLOW box filter, average `supersample`x`supersample` pixels per screen pixel
+		const n = supersample * supersample;
+
+		// copy pixels
+		let vu = 0;
+
+		if (angle === 0) {
+			const i = (pixelWidth - viewWidth * supersample) >> 1;
+			const j = (pixelHeight - viewHeight * supersample) >> 1;
+
+			for (let v = 0; v < viewHeight; v++) {
+				for (let u = 0; u < viewWidth; u++) {
+					let r = 0, g = 0, b = 0, a = 0;
+					let ji = (j + v * supersample) * pixelWidth + i + u * supersample;
+
+					for (let sj = 0; sj < supersample; sj++, ji += pixelWidth) {
+						for (let si = 0; si < supersample; si++) {
+							const rgb = smooth ? zoomerPaletteLerp(palette, pixels[ji + si]) : palette ? palette[pixels[ji + si]] : pixels[ji + si];
+							r += rgb & 255;
+							g += (rgb >> 8) & 255;
+							b += (rgb >> 16) & 255;
+							a += rgb >>> 24;
+						}
+					}
+
+					rgba[vu++] = (r / n) | (g / n) << 8 | (b / n) << 16 | (a / n) << 24;
+				}
+			}
+		} else {
+			// same as view rotation, with steps for pixels and screen pixels
+			const rsin = Math.sin(angle * Math.PI / 180); // sine for view angle
+			const rcos = Math.cos(angle * Math.PI / 180); // cosine for view angle
+			const xstart = Math.floor((pixelWidth - viewHeight * supersample * rsin - viewWidth * supersample * rcos) * 32768);
+			const ystart = Math.floor((pixelHeight - viewHeight * supersample * rcos + viewWidth * supersample * rsin) * 32768);
+			const ixstep = Math.floor(rcos * 65536);
+			const iystep = Math.floor(rsin * -65536);
+			const jxstep = Math.floor(rsin * 65536);
+			const jystep = Math.floor(rcos * 65536);
+
+			for (let j = 0, x = xstart, y = ystart; j < viewHeight; j++, x += jxstep * supersample, y += jystep * supersample) {
+				for (let i = 0, ix = x, iy = y; i < viewWidth; i++, ix += ixstep * supersample, iy += iystep * supersample) {
+					let r = 0, g = 0, b = 0, a = 0;
+
+					for (let sj = 0, sx = ix, sy = iy; sj < supersample; sj++, sx += jxstep, sy += jystep) {
+						for (let si = 0, px = sx, py = sy; si < supersample; si++, px += ixstep, py += iystep) {
+							const k = (py >> 16) * pixelWidth + (px >> 16);
+							const rgb = smooth ? zoomerPaletteLerp(palette, pixels[k]) : palette ? palette[pixels[k]] : pixels[k];
+							r += rgb & 255;
+							g += (rgb >> 8) & 255;
+							b += (rgb >> 16) & 255;
+							a += rgb >>> 24;
+						}
+					}
+
+					rgba[vu++] = (r / n) | (g / n) << 8 | (b / n) << 16 | (a / n) << 24;
+				}
+			}
+		}
 
-	if (angle === 0) {
+	} else if (angle === 0) {
 
 		// FAST extract view
 		let i = (pixelWidth - viewWidth) >> 1;
@@ -227,7 +371,14 @@ function zoomerRenderFrame(frame) {
 		let ji = j * pixelWidth + i;
 		let vu = 0;
 
-		if (palette) {
+		if (smooth) {
+			// Palette interpolated
+			for (let v = 0; v < viewHeight; v++) {
+				for (let u = 0; u < viewWidth; u++)
+					rgba[vu++] = zoomerPaletteLerp(palette, pixels[ji++]);
+				ji += pixelWidth - viewWidth;
+			}
+		} else if (palette) {
 			// Palette translated
 			for (let v = 0; v < viewHeight; v++) {
 				for (let u = 0; u < viewWidth; u++)
@@ -265,15 +416,44 @@ function zoomerRenderFrame(frame) {
 
 		// copy pixels
 		let vu = 0;
+		let j = 0, x = xstart, y = ystart;
 
-		if (palette) {
-			for (let j = 0, x = xstart, y = ystart; j < viewHeight; j++, x += jxstep, y += jystep) {
+		if (frame.bilinear) {
+			/*
+			 * Bilinear sampling of the four surrounding pixel centers.
+			 * Rows that do not fit the budget fall back to nearest-neighbour.
+			 */
+			const colour = (k) => smooth ? zoomerPaletteLerp(palette, pixels[k]) : palette ? palette[pixels[k]] : pixels[k];
+			const etime = stime + frame.bilinearBudget;
+
+			for (; j < viewHeight && performance.now() < etime; j++, x += jxstep, y += jystep) {
+				// offset to pixel centers
+				for (let i = 0, ix = x - 32768, iy = y - 32768; i < viewWidth; i++, ix += ixstep, iy += iystep) {
+					// clip to frame
+					const x0 = ix < 0 ? 0 : ix >> 16;
+					const y0 = iy < 0 ? 0 : iy >> 16;
+					const x1 = x0 < pixelWidth - 1 ? x0 + 1 : x0;
+					const y1 = y0 < pixelHeight - 1 ? y0 + 1 : y0;
+
+					rgba[vu++] = zoomerBilinear(colour(y0 * pixelWidth + x0), colour(y0 * pixelWidth + x1), colour(y1 * pixelWidth + x0), colour(y1 * pixelWidth + x1), ix < 0 ? 0 : (ix & 65535) / 65536, iy < 0 ? 0 : (iy & 65535) / 65536);
+				}
+			}
+		}
+
+		if (smooth) {
+			for (; j < viewHeight; j++, x += jxstep, y += jystep) {
+				for (let i = 0, ix = x, iy = y; i < viewWidth; i++, ix += ixstep, iy += iystep) {
+					rgba[vu++] = zoomerPaletteLerp(palette, pixels[(iy >> 16) * pixelWidth + (ix >> 16)]);
+				}
+			}
+		} else if (palette) {
+			for (; j < viewHeight; j++, x += jxstep, y += jystep) {
 				for (let i = 0, ix = x, iy = y; i < viewWidth; i++, ix += ixstep, iy += iystep) {
 					rgba[vu++] = palette[pixels[(iy >> 16) * pixelWidth + (ix >> 16)]];
 				}
 			}
 		} else {
-			for (let j = 0, x = xstart, y = ystart; j < viewHeight; j++, x += jxstep, y += jystep) {
+			for (; j < viewHeight; j++, x += jxstep, y += jystep) {
 				for (let i = 0, ix = x, iy = y; i < viewWidth; i++, ix += ixstep, iy += iystep) {
 					rgba[vu++] = pixels[(iy >> 16) * pixelWidth + (ix >> 16)];
 				}
@@ -282,8 +462,112 @@ function zoomerRenderFrame(frame) {
 	}
 
 	frame.durationRENDER = performance.now() - stime;
+
+	if (frame.xHeat)
+		zoomerRenderHeat(frame);
 };
 
+/**
+ * Paint rendered RGBA onto a canvas transferred to the render worker.
+ * Same as `onPutImageData()` of the main thread.
+ *
+ * @param {OffscreenCanvasRenderingContext2D} ctx   - Context of transferred canvas
+ * @param {ZoomerFrame}                       frame - Rendered frame
+ */
+function zoomerPaintFrame(ctx, frame) {
+
+	const stime = performance.now();
+
+	const {viewWidth, viewHeight, rgba} = frame;
+
+	// the main thread can no longer size a transferred canvas. NOTE: this will erase the canvas contents
+	if (ctx.canvas.width !== viewWidth || ctx.canvas.height !== viewHeight) {
+		ctx.canvas.width = viewWidth;
+		ctx.canvas.height = viewHeight;
+	}
+
+	ctx.putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer, 0, viewWidth * viewHeight * 4), viewWidth, viewHeight), 0, 0);
+
+	frame.painted = true;
+	frame.durationPAINT = performance.now() - stime;
+}
+
+/**
+ * Tint rendered RGBA with the refinement heat of the rows/columns.
+ * Red for inherited lines, the more stale the redder. Green for lines calculated for this frame.
+ * Samples the same pixels as `zoomerRenderFrame()`, top-left when supersampling.
+ *
+ * @param {ZoomerFrame} frame
+ */
+function zoomerRenderHeat(frame) {
+
+	const {viewWidth, viewHeight, pixelWidth, pixelHeight, angle, rgba, supersample, xHeat, yHeat} = frame;
+
+	// same as view rotation, also applies to angle=0
+	const rsin = Math.sin(angle * Math.PI / 180); // sine for view angle
+	const rcos = Math.cos(angle * Math.PI / 180); // cosine for view angle
+	const xstart = Math.floor((pixelWidth - viewHeight * supersample * rsin - viewWidth * supersample * rcos) * 32768);
+	const ystart = Math.floor((pixelHeight - viewHeight * supersample * rcos + viewWidth * supersample * rsin) * 32768);
+	const ixstep = Math.floor(rcos * 65536) * supersample;
+	const iystep = Math.floor(rsin * -65536) * supersample;
+	const jxstep = Math.floor(rsin * 65536) * supersample;
+	const jystep = Math.floor(rcos * 65536) * supersample;
+
+	let vu = 0;
+	for (let j = 0, x = xstart, y = ystart; j < viewHeight; j++, x += jxstep, y += jystep) {
+		for (let i = 0, ix = x, iy = y; i < viewWidth; i++, ix += ixstep, iy += iystep, vu++) {
+			const hx = xHeat[ix >> 16];
+			const hy = yHeat[iy >> 16];
+
+			const rgb = rgba[vu];
+			let r = rgb & 255;
+			let g = (rgb >> 8) & 255;
+			let b = (rgb >> 16) & 255;
+
+			if (hx > 0 || hy > 0) {
+				// stale
+				const h = (hx > hy ? hx : hy) * 0.75;
+				r += (255 - r) * h;
+				g -= g * h;
+				b -= b * h;
+			} else if (hx < 0 || hy < 0) {
+				// fresh
+				r -= r * 0.5;
+				g += (255 - g) * 0.5;
+				b -= b * 0.5;
+			} else {
+				// exact
+				continue;
+			}
+
+			rgba[vu] = (rgb & 0xff000000) | (b << 16) | (g << 8) | r;
+		}
+	}
+}
+
+/**
+ * Calculate the pixels of a line request. Runs in a line worker.
+ * Positions without coordinate (NaN) are filled with the previous result.
+ * Positions with a mirror index copy the result of that (earlier) position.
+ *
+ * @param {Object}   line          - Line request from `ZoomerView.selectLine()`
+ * @param {Object}   state         - From `onWorkerBegin()`
+ * @param {function} onWorkerPixel - Called to calculate pixel values.
+ */
+function zoomerUpdateLine(line, state, onWorkerPixel) {
+
+	const {isX, coord, coords, mirror, results} = line;
+
+	let result = 0;
+	for (let k = 0; k < coords.length; k++) {
+		if (mirror && mirror[k] >= 0)
+			result = results[mirror[k]];
+		else if (coords[k] === coords[k])
+			result = isX ? onWorkerPixel(state, coord, coords[k]) : onWorkerPixel(state, coords[k], coord);
+		results[k] = result;
+	}
+}
+
 /**
  * View to the fractal world.
  *
@@ -374,6 +658,26 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 	    @description Inherited index from previous update */
 	this.yFrom = new Int32Array(this.pixelHeight);
 
+	/** @member {Uint8Array}
+	    @description Column calculated since `setPosition()` */
+	this.xCalc = new Uint8Array(this.pixelWidth);
+
+	/** @member {Uint8Array}
+	    @description Row calculated since `setPosition()` */
+	this.yCalc = new Uint8Array(this.pixelHeight);
+
+	/** @member {Int32Array}
+	    @description Row nearest to the mirrored (y=0) coordinate, -1 if none. See `makeMirror()` */
+	this.yMirror = new Int32Array(this.pixelHeight);
+
+	/** @member {Float64Array}
+	    @description Distance between the mirrored coordinate and its `yMirror` row, 0 when exact */
+	this.yMirrorScore = new Float64Array(this.pixelHeight);
+
+	/** @member {boolean}
+	    @description `yMirror` matches the rulers */
+	this.yMirrorValid = false;
+
 	/**
 	 *
 	 * @param {number}       start      - start coordinate
@@ -430,6 +734,80 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 		return cntExact;
 	};
 
+	/**
+	 * Determine the radius of the borders.
+	 * NOTE: this determines the aspect ration
+	 *
+	 * @param {float} radius - Radius of view
+	 * @return {Object} - {radiusPixelHor, radiusPixelVer}
+	 */
+	this.pixelRadius = (radius) => {
+
+		const {viewWidth, viewHeight, pixelWidth, pixelHeight} = this;
+
+		if (viewWidth > viewHeight) {
+			// landscape
+			return {radiusPixelHor: radius * pixelWidth / viewHeight, radiusPixelVer: radius * pixelHeight / viewHeight};
+		} else {
+			// portrait
+			return {radiusPixelHor: radius * pixelWidth / viewWidth, radiusPixelVer: radius * pixelHeight / viewWidth};
+		}
+	};
+
+	/**
+	 * Total distance between the stops of a new ruler and their nearest source stops.
+	 * Same walk as `makeRuler()`, without populating.
+	 *
+	 * @param {number}       start      - start coordinate
+	 * @param {number}       end        - end coordinate
+	 * @param {int}          length     - number of coordinate stops
+	 * @param {Float64Array} oldNearest - source ruler
+	 * @return {float}
+	 */
+	this.scoreRuler = (start, end, length, oldNearest) => {
+
+		let total = 0;
+
+		let iOld = 0;
+		for (let iNew = 0; iNew < length; iNew++) {
+
+			// determine coordinate current tab stop
+			const currCoord = (end - start) * iNew / (length - 1) + start;
+
+			// determine scoring. 0=exact
+			let currScore = Math.abs(currCoord - oldNearest[iOld]);
+			let nextScore = Math.abs(currCoord - oldNearest[iOld + 1]);
+
+			// bump if next source stop is better
+			while (nextScore <= currScore && iOld < oldNearest.length - 1) {
+				iOld++;
+				currScore = nextScore;
+				nextScore = Math.abs(currCoord - oldNearest[iOld + 1]);
+			}
+
+			total += currScore;
+		}
+
+		return total;
+	};
+
+	/**
+	 * How well would `setPosition()` inherit from `previousView`.
+	 *
+	 * @param {float}      centerX      - Center x of view
+	 * @param {float}      centerY      - Center y or view
+	 * @param {float}      radius       - Radius of view
+	 * @param {ZoomerView} previousView - Candidate to inherit pixels from
+	 * @return {float} - Total ruler distance, 0=all exact
+	 */
+	this.scorePosition = (centerX, centerY, radius, previousView) => {
+
+		const {radiusPixelHor, radiusPixelVer} = this.pixelRadius(radius);
+
+		return this.scoreRuler(centerX - radiusPixelHor, centerX + radiusPixelHor, this.pixelWidth, previousView.xNearest) +
+			this.scoreRuler(centerY - radiusPixelVer, centerY + radiusPixelVer, this.pixelHeight, previousView.yNearest);
+	};
+
 	/**
 	 * Set the center coordinate and radius.
 	 * Inherit pixels from oldView based on rulers.
@@ -447,24 +825,17 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 		this.frame = frame;
 		this.pixels = frame.pixels;
 
-		const {xCoord, xNearest, xScore, xFrom, yCoord, yNearest, yScore, yFrom, viewWidth, viewHeight, pixelWidth, pixelHeight, pixels} = this;
+		const {xCoord, xNearest, xScore, xFrom, yCoord, yNearest, yScore, yFrom, pixelWidth, pixelHeight, pixels} = this;
 
 		this.centerX = centerX;
 		this.centerY = centerY;
 		this.radius = radius;
 
-		// Determine the radius of the borders
-		// NOTE: this determines the aspect ration
-		let radiusPixelHor, radiusPixelVer;
-		if (this.viewWidth > this.viewHeight) {
-			// landscape
-			radiusPixelVer = radius * pixelHeight / viewHeight;
-			radiusPixelHor = radius * pixelWidth / viewHeight;
-		} else {
-			// portrait
-			radiusPixelHor = radius * pixelWidth / viewWidth;
-			radiusPixelVer = radius * pixelHeight / viewWidth;
-		}
+		this.xCalc.fill(0);
+		this.yCalc.fill(0);
+		this.yMirrorValid = false;
+
+		const {radiusPixelHor, radiusPixelVer} = this.pixelRadius(radius);
 
 		const pixelMinX = centerX - radiusPixelHor;
 		const pixelMaxX = centerX + radiusPixelHor;
@@ -554,6 +925,31 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 		frame.complete = frame.cntPixels / (frame.pixelWidth * frame.pixelHeight);
 	};
 
+	/**
+	 * Move the coordinate origin. Pixels stay, only the rulers are shifted.
+	 * Deep zooming keeps coordinates relative to a high precision origin near the center.
+	 *
+	 * @param {float} dx - Shift of origin x
+	 * @param {float} dy - Shift of origin y
+	 */
+	this.rebase = (dx, dy) => {
+
+		const {xCoord, xNearest, yCoord, yNearest} = this;
+
+		this.centerX -= dx;
+		this.centerY -= dy;
+		this.yMirrorValid = false;
+
+		for (let i = 0; i < xCoord.length; i++) {
+			xCoord[i] -= dx;
+			xNearest[i] -= dx;
+		}
+		for (let j = 0; j < yCoord.length; j++) {
+			yCoord[j] -= dy;
+			yNearest[j] -= dy;
+		}
+	};
+
 	/**
 	 * Test if rulers have reached resolution limits
 	 *
@@ -581,14 +977,13 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 	};
 
 	/**
-	 * Simple background renderer
+	 * Find the line with the worst score
 	 *
-	 * @param {Zoomer} zoomer
-	 * @return {int} number of lines updated
+	 * @return {Object|null} - {isX,index}, null if nothing to do
 	 */
-	this.updateLines = (zoomer) => {
+	this.worstLine = () => {
 
-		const {xCoord, xNearest, xScore, xFrom, yCoord, yNearest, yScore, yFrom, pixels, pixelWidth, pixelHeight} = this;
+		const {xScore, yScore, pixelWidth, pixelHeight} = this;
 
 		// which tabstops have the worst score
 		let worstXerr = xScore[0];
@@ -610,6 +1005,120 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 		}
 
 		if (worstXerr + worstYerr === 0)
+			return null; // nothing to do
+
+		if (worstXerr > worstYerr)
+			return {isX: true, index: worstXi};
+		else
+			return {isX: false, index: worstYj};
+	};
+
+	/**
+	 * Pair each row with the row nearest to its coordinate mirrored in the real axis (y=0).
+	 * Rows pair when the distance is at most half a pixel, so rows beyond the mirrored edge have none.
+	 * Distances below a millionth of a pixel are exact, like the home view, any other phase pairs inexact.
+	 *
+	 * @return {Int32Array} - `yMirror`
+	 */
+	this.makeMirror = () => {
+
+		const {yCoord, yMirror, yMirrorScore, pixelHeight} = this;
+
+		if (this.yMirrorValid)
+			return yMirror;
+		this.yMirrorValid = true;
+
+		yMirror.fill(-1);
+		yMirrorScore.fill(0);
+
+		const pitch = Math.abs(yCoord[pixelHeight - 1] - yCoord[0]) / (pixelHeight - 1);
+		const epsilon = pitch / 1000000;
+
+		// rulers are ascending, mirrored coordinates descending
+		let k = pixelHeight - 1;
+		for (let j = 0; j < pixelHeight; j++) {
+			const y = -yCoord[j];
+
+			while (k > 0 && Math.abs(yCoord[k - 1] - y) <= Math.abs(yCoord[k] - y))
+				k--;
+
+			const score = Math.abs(yCoord[k] - y);
+			if (score <= pitch / 2) {
+				yMirror[j] = k;
+				yMirrorScore[j] = score <= epsilon ? 0 : score;
+			}
+		}
+
+		return yMirror;
+	};
+
+	/**
+	 * Copy a completed row to its mirror row, see `Zoomer.mirrorY`.
+	 * An exact pair makes the mirror row exact.
+	 * Otherwise the mirror row inherits the mirrored coordinate and is refined later, like rows of a previous frame.
+	 * Followups that are not exact are filled.
+	 *
+	 * @param {int} j         - Completed row
+	 * @param {int} cntPixels - Calculated pixels of the row
+	 */
+	this.mirrorRow = (j, cntPixels) => {
+
+		const {yCoord, yNearest, yScore, yFrom, yMirrorScore, pixels, pixelWidth, pixelHeight} = this;
+		const m = this.makeMirror()[j];
+
+		// no mirror, itself or already as near/pending
+		if (m < 0 || m === j || yScore[m] <= yMirrorScore[j])
+			return;
+
+		const frame = this.frame;
+		const j0 = j * pixelWidth;
+
+		for (let v = m; v < pixelHeight; v++) {
+			if (v > m && (yScore[v] === 0 || yFrom[v] !== -1))
+				break;
+
+			pixels.copyWithin(v * pixelWidth, j0, j0 + pixelWidth);
+		}
+
+		if (yMirrorScore[j] === 0) {
+			yNearest[m] = yCoord[m];
+			yScore[m] = 0;
+			this.yCalc[m] = 1;
+			frame.cntVLines++;
+			frame.cntPixels += cntPixels;
+		} else {
+			// inherited, no longer a fill of its neighbour
+			yNearest[m] = -yCoord[j];
+			yScore[m] = yMirrorScore[j];
+			yFrom[m] = j;
+		}
+	};
+
+	/**
+	 * Find the next line to refine according to `zoomer.lineStrategy`.
+	 * See `ZoomerView.lineStrategies`.
+	 *
+	 * @param {Zoomer} zoomer
+	 * @return {Object|null} - {isX,index}, null if nothing to do
+	 */
+	this.nextLine = (zoomer) => {
+		const strategy = ZoomerView.lineStrategies[zoomer.lineStrategy] || ZoomerView.lineStrategies["worst-score"];
+
+		return strategy(this, zoomer);
+	};
+
+	/**
+	 * Simple background renderer
+	 *
+	 * @param {Zoomer} zoomer
+	 * @return {int} number of lines updated
+	 */
+	this.updateLines = (zoomer) => {
+
+		const {xCoord, xNearest, xScore, xFrom, yCoord, yNearest, yScore, yFrom, yMirrorScore, pixels, pixelWidth, pixelHeight} = this;
+
+		const worst = this.nextLine(zoomer);
+		if (!worst)
 			return 0; // nothing to do
 
 		/**
@@ -619,10 +1128,11 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 		 **/
 
 		const frame = this.frame;
+		const yMirror = zoomer.mirrorY ? this.makeMirror() : null;
 
-		if (worstXerr > worstYerr) {
+		if (worst.isX) {
 
-			let i = worstXi;
+			let i = worst.index;
 			let x = xCoord[i];
 
 			let result = zoomer.onUpdatePixel(zoomer, frame, x, yCoord[0]);
@@ -636,7 +1146,13 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 			for (let j = 1; j < pixelHeight; j++) {
 				// only calculate cross points of exact lines, fill the others
 				if (yScore[j] === 0 || yFrom[j] !== -1) {
-					result = zoomer.onUpdatePixel(zoomer, frame, x, yCoord[j]);
+					const m = yMirror ? yMirror[j] : -1;
+
+					// exactly mirrored cross point already calculated
+					if (m >= 0 && m < j && yMirrorScore[j] === 0 && (yScore[m] === 0 || yFrom[m] !== -1))
+						result = pixels[m * pixelWidth + i];
+					else
+						result = zoomer.onUpdatePixel(zoomer, frame, x, yCoord[j]);
 					frame.cntPixels++;
 				}
 
@@ -655,16 +1171,16 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 
 			xNearest[i] = x;
 			xScore[i] = 0;
+			this.xCalc[i] = 1;
 			frame.cntHLines++;
 
 		} else {
 
-			let j = worstYj;
+			let j = worst.index;
 			let y = yCoord[j];
 
 			let result = zoomer.onUpdatePixel(zoomer, frame, xCoord[0], y);
-			if (xScore[0] === 0 || xFrom[0] !== -1)
-				frame.cntPixels++;
+			let cntPixels = (xScore[0] === 0 || xFrom[0] !== -1) ? 1 : 0;
 
 			let ji = j * pixelWidth + 0;
 			pixels[ji++] = result;
@@ -673,10 +1189,11 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 				// only calculate cross points of exact lines, fill the others
 				if (xScore[i] === 0 || xFrom[i] !== -1) {
 					result = zoomer.onUpdatePixel(zoomer, frame, xCoord[i], y);
-					frame.cntPixels++;
+					cntPixels++;
 				}
 				pixels[ji++] = result;
 			}
+			frame.cntPixels += cntPixels;
 
 			for (let v = j + 1; v < pixelHeight; v++) {
 				if (yScore[v] === 0 || yFrom[v] !== -1)
@@ -691,7 +1208,11 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 
 			yNearest[j] = y;
 			yScore[j] = 0;
+			this.yCalc[j] = 1;
 			frame.cntVLines++;
+
+			if (yMirror)
+				this.mirrorRow(j, cntPixels);
 		}
 
 		// update completion
@@ -700,56 +1221,963 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
 	};
 
 	/**
-	 * brute-force fill of all pixels. Intended for small/initial view
+	 * Select the next line for a line worker, the worker equivalent of `updateLines()`.
+	 * The line is flagged as pending by marking it exact, so it will not be selected again.
+	 * Pixels are updated when the results are merged with `mergeLine()`.
 	 *
-	 * @param {float}    centerX       - Center x of view
-	 * @param {float}    centerY       - Center y or view
-	 * @param {float}    radius        - Radius of view
-	 * @param {float}    angle         - Angle (degrees) [not tested]
-	 * @param {Zoomer}   zoomer        - Caller context
-	 * @param {function} onUpdatePixel - Called to calculate pixel values.
+	 * @param {Zoomer} zoomer
+	 * @return {Object|null} - Line request, null if nothing to do
 	 */
-	this.fill = (centerX, centerY, radius, angle, zoomer, onUpdatePixel) => {
+	this.selectLine = (zoomer) => {
+
+		const worst = this.nextLine(zoomer);
+		if (!worst)
+			return null; // nothing to do
+
+		const {isX, index} = worst;
+		const nearest = isX ? this.xNearest : this.yNearest;
+		const score = isX ? this.xScore : this.yScore;
+		const calc = isX ? this.xCalc : this.yCalc;
+		const crossCoord = isX ? this.yCoord : this.xCoord;
+		const crossScore = isX ? this.yScore : this.xScore;
+		const crossFrom = isX ? this.yFrom : this.xFrom;
+
+		// only calculate cross points of exact lines, NaN to fill the others
+		const coords = new Float64Array(crossCoord.length);
+		let cntPixels = (crossScore[0] === 0 || crossFrom[0] !== -1) ? 1 : 0;
+
+		coords[0] = crossCoord[0];
+		for (let k = 1; k < crossCoord.length; k++) {
+			if (crossScore[k] === 0 || crossFrom[k] !== -1) {
+				coords[k] = crossCoord[k];
+				cntPixels++;
+			} else {
+				coords[k] = NaN;
+			}
+		}
 
-		const {viewWidth, viewHeight, pixelWidth, pixelHeight} = this;
+		// columns copy exactly mirrored cross points, rows are mirrored when merged
+		let mirror = null;
+		if (isX && zoomer.mirrorY) {
+			const yMirror = this.makeMirror();
+			const yMirrorScore = this.yMirrorScore;
 
-		this.centerX = centerX;
-		this.centerY = centerY;
-		this.radius = radius;
+			mirror = new Int32Array(crossCoord.length);
+			for (let k = 0; k < crossCoord.length; k++) {
+				const m = yMirror[k];
+				mirror[k] = (coords[k] === coords[k] && m >= 0 && m < k && yMirrorScore[k] === 0 && coords[m] === coords[m]) ? m : -1;
+			}
+		}
 
-		// Determine the radius of the view
-		if (this.viewWidth > this.viewHeight) {
-			this.radiusHor = radius * this.viewWidth / this.viewHeight;
-			this.radiusVer = radius;
+		const line = {
+			isX: isX,
+			index: index,
+			coord: isX ? this.xCoord[index] : this.yCoord[index],
+			coords: coords,
+			mirror: mirror,
+			mirrorY: zoomer.mirrorY,
+			results: new this.pixels.constructor(coords.length),
+			cntPixels: cntPixels,
+			oldNearest: nearest[index],
+			oldScore: score[index]
+		};
+
+		// flag as pending
+		nearest[index] = line.coord;
+		score[index] = 0;
+		calc[index] = 1;
+
+		return line;
+	};
+
+	/**
+	 * Undo `selectLine()` for a line that will not be merged.
+	 *
+	 * @param {Object} line - Line request
+	 */
+	this.cancelLine = (line) => {
+		if (line.isX) {
+			this.xNearest[line.index] = line.oldNearest;
+			this.xScore[line.index] = line.oldScore;
+			this.xCalc[line.index] = 0;
 		} else {
-			this.radiusHor = radius;
-			this.radiusVer = radius * this.viewHeight / this.viewWidth;
+			this.yNearest[line.index] = line.oldNearest;
+			this.yScore[line.index] = line.oldScore;
+			this.yCalc[line.index] = 0;
 		}
+	};
 
-		// NOTE: current attached frame will leak and GC
-		this.frame = zoomer.allocFrame(viewWidth, viewHeight, pixelWidth, pixelHeight, angle);
-		this.pixels = this.frame.pixels;
+	/**
+	 * Merge the results of a line worker into the pixels.
+	 * Other lines may have been merged in the meantime.
+	 * Filled (not calculated) pixels are skipped if their cross line has since become exact.
+	 *
+	 * @param {Object} line - Line request with results
+	 */
+	this.mergeLine = (line) => {
+
+		const {xScore, xFrom, yScore, yFrom, pixels, pixelWidth, pixelHeight} = this;
+		const {coords, results} = line;
+		const frame = this.frame;
+
+		if (line.isX) {
+
+			const i = line.index;
+
+			let ji = 0 * pixelWidth + i;
+			for (let j = 0; j < pixelHeight; j++) {
+				if (coords[j] === coords[j] || yScore[j] !== 0)
+					pixels[ji] = results[j];
+				ji += pixelWidth;
+			}
+
+			for (let u = i + 1; u < pixelWidth; u++) {
+				if (xScore[u] === 0 || xFrom[u] !== -1)
+					break;
+
+				for (let v = 0; v < pixelHeight; v++) {
+					pixels[v * pixelWidth + u] = pixels[v * pixelWidth + i];
+				}
+			}
+
+			frame.cntHLines++;
+
+		} else {
+
+			const j = line.index;
+
+			let ji = j * pixelWidth + 0;
+			for (let i = 0; i < pixelWidth; i++) {
+				if (coords[i] === coords[i] || xScore[i] !== 0)
+					pixels[ji] = results[i];
+				ji++;
+			}
+
+			for (let v = j + 1; v < pixelHeight; v++) {
+				if (yScore[v] === 0 || yFrom[v] !== -1)
+					break;
+
+				const v0 = v * pixelWidth;
+				const j0 = j * pixelWidth;
+				pixels.copyWithin(v0, j0, j0 + pixelWidth);
+			}
+
+			frame.cntVLines++;
+
+			if (line.mirrorY)
+				this.mirrorRow(j, line.cntPixels);
+		}
+
+		frame.cntPixels += line.cntPixels;
+
+		// update completion
+		frame.complete = frame.cntPixels / (frame.pixelWidth * frame.pixelHeight);
+	};
+
+	/**
+	 * Refinement heat of the rulers, for the heat-map overlay.
+	 * Per line: -1 calculated since `setPosition()`, 0 exact, up to 1 for stale.
+	 * Staleness is the score in pixels on a log scale, 1/16 to 4 pixels.
+	 *
+	 * @param {ZoomerFrame} frame - Receives `xHeat` and `yHeat`
+	 */
+	this.measureHeat = (frame) => {
+
+		const {xCoord, xScore, xCalc, yCoord, yScore, yCalc, pixelWidth, pixelHeight} = this;
+
+		const rulerHeat = (score, calc, pitch) => {
+			const heat = new Float32Array(score.length);
+
+			for (let k = 0; k < score.length; k++) {
+				if (calc[k])
+					heat[k] = -1;
+				else if (score[k])
+					heat[k] = Math.max(0.1, Math.min(1, (Math.log2(score[k] / pitch) + 4) / 6));
+			}
+			return heat;
+		};
+
+		// distance between tab stops
+		frame.xHeat = rulerHeat(xScore, xCalc, (xCoord[pixelWidth - 1] - xCoord[0]) / (pixelWidth - 1));
+		frame.yHeat = rulerHeat(yScore, yCalc, (yCoord[pixelHeight - 1] - yCoord[0]) / (pixelHeight - 1));
+	};
+
+	/**
+	 * brute-force fill of all pixels. Intended for small/initial view
+	 *
+	 * @param {float}    centerX       - Center x of view
+	 * @param {float}    centerY       - Center y or view
+	 * @param {float}    radius        - Radius of view
+	 * @param {float}    angle         - Angle (degrees) [not tested]
+	 * @param {Zoomer}   zoomer        - Caller context
+	 * @param {function} onUpdatePixel - Called to calculate pixel values.
+	 */
+	this.fill = (centerX, centerY, radius, angle, zoomer, onUpdatePixel) => {
+
+		const {viewWidth, viewHeight, pixelWidth, pixelHeight} = this;
+
+		this.centerX = centerX;
+		this.centerY = centerY;
+		this.radius = radius;
+
+		// Determine the radius of the view
+		if (this.viewWidth > this.viewHeight) {
+			this.radiusHor = radius * this.viewWidth / this.viewHeight;
+			this.radiusVer = radius;
+		} else {
+			this.radiusHor = radius;
+			this.radiusVer = radius * this.viewHeight / this.viewWidth;
+		}
+
+		// NOTE: current attached frame will leak and GC
+		this.frame = zoomer.allocFrame(viewWidth, viewHeight, pixelWidth, pixelHeight, angle);
+		this.pixels = this.frame.pixels;
 
 		const {xCoord, xNearest, yCoord, yNearest, pixels} = this;
 
-		for (let i = 0; i < xCoord.length; i++)
-			xNearest[i] = xCoord[i] = ((centerX + this.radius) - (centerX - this.radius)) * i / (xCoord.length - 1) + (centerX - this.radius);
-		for (let i = 0; i < yCoord.length; i++)
-			yNearest[i] = yCoord[i] = ((centerY + this.radius) - (centerY - this.radius)) * i / (yCoord.length - 1) + (centerY - this.radius);
+		for (let i = 0; i < xCoord.length; i++)
+			xNearest[i] = xCoord[i] = ((centerX + this.radius) - (centerX - this.radius)) * i / (xCoord.length - 1) + (centerX - this.radius);
+		for (let i = 0; i < yCoord.length; i++)
+			yNearest[i] = yCoord[i] = ((centerY + this.radius) - (centerY - this.radius)) * i / (yCoord.length - 1) + (centerY - this.radius);
+
+		let ji = 0;
+		for (let j = 0; j < pixelHeight; j++) {
+			const y = (centerY - this.radius) + this.radius * 2 * j / pixelHeight;
+			for (let i = 0; i < pixelWidth; i++) {
+				// distance to center
+				const x = (centerX - this.radius) + this.radius * 2 * i / pixelWidth;
+				pixels[ji++] = zoomer.onUpdatePixel(zoomer, this.frame, x, y);
+			}
+		}
+		this.frame.cntPixels = pixelWidth * pixelHeight;
+
+		// update completion
+		this.frame.complete = 1;
+	};
+}
+
+/**
+ * Closest line with a non-zero score, weighted by distance to a target coordinate.
+ * Distance is relative to the largest view span, so the weighting is circular.
+ *
+ * @param {ZoomerView} view
+ * @param {float}      targetX - Target x coordinate
+ * @param {float}      targetY - Target y coordinate
+ * @return {Object|null} - {isX,index}, null if nothing to do
+ */
+function zoomerTargetLine(view, targetX, targetY) {
+
+	const {xCoord, xScore, yCoord, yScore, pixelWidth, pixelHeight} = view;
+
+	// at the view edge the score weighs about a fifth
+	const falloff = 8 / (Math.max(xCoord[pixelWidth - 1] - xCoord[0], yCoord[pixelHeight - 1] - yCoord[0]) || 1);
+
+	let bestX = 0;
+	let bestXi = 0;
+	let bestY = 0;
+	let bestYj = 0;
+
+	for (let i = 0; i < pixelWidth; i++) {
+		const priority = xScore[i] / (1 + Math.abs(xCoord[i] - targetX) * falloff);
+		if (priority > bestX) {
+			bestXi = i;
+			bestX = priority;
+		}
+	}
+	for (let j = 0; j < pixelHeight; j++) {
+		const priority = yScore[j] / (1 + Math.abs(yCoord[j] - targetY) * falloff);
+		if (priority > bestY) {
+			bestYj = j;
+			bestY = priority;
+		}
+	}
+
+	if (bestX + bestY === 0)
+		return null; // nothing to do
+
+	if (bestX > bestY)
+		return {isX: true, index: bestXi};
+	else
+		return {isX: false, index: bestYj};
+}
+
+/**
+ * Line-priority strategies, selected by `Zoomer.lineStrategy`.
+ * Strategies return the next line to refine, `{isX,index}` of a line with a non-zero score.
+ * They return null only when all scores are zero, otherwise the frame never completes.
+ * Additional strategies can be registered at runtime.
+ *
+ * @type {Object<string, function(ZoomerView, Zoomer): Object|null>}
+ */
+ZoomerView.lineStrategies = {
+
+	/**
+	 * The single line with the worst score.
+	 * Uniform refinement, the fastest to approach an exact frame.
+	 */
+	"worst-score": (view, zoomer) => {
+		return view.worstLine();
+	},
+
+	/**
+	 * Worst score weighted by distance to the view center.
+	 * The center sharpens first, the borders last.
+	 */
+	"center-out": (view, zoomer) => {
+		return zoomerTargetLine(view, view.centerX, view.centerY);
+	},
+
+	/**
+	 * Worst score weighted by distance to `zoomer.targetX/targetY`.
+	 * Typically where the mouse or autopilot is zooming into.
+	 */
+	"target": (view, zoomer) => {
+		return zoomerTargetLine(view, zoomer.targetX, zoomer.targetY);
+	},
+
+	/**
+	 * Scanning interlace.
+	 * Rows and columns are swept left-right/top-bottom at a stride that halves each pass.
+	 */
+	"interlace": (view, zoomer) => {
+
+		const {xScore, yScore, pixelWidth, pixelHeight} = view;
+
+		let stride = 1;
+		while (stride * 2 < Math.max(pixelWidth, pixelHeight))
+			stride *= 2;
+
+		for (; stride >= 1; stride >>= 1) {
+			let i = 0;
+			while (i < pixelWidth && !xScore[i])
+				i += stride;
+			let j = 0;
+			while (j < pixelHeight && !yScore[j])
+				j += stride;
+
+			// sweep both directions at the same pace
+			if (i < pixelWidth && (j >= pixelHeight || i / pixelWidth <= j / pixelHeight))
+				return {isX: true, index: i};
+			if (j < pixelHeight)
+				return {isX: false, index: j};
+		}
+
+		return null; // nothing to do
+	},
+};
+
+/**
+ * Cache of completed views, so zooming back out does not recompute.
+ *
+ * Entries are snapshots of rulers and pixels, keyed by their coordinates and resolution.
+ * To `ZoomerView.setPosition()` they look like a previous view.
+ * Least recently used entries are evicted to stay within the memory budget.
+ *
+ * @class
+ */
+function ZoomerCache() {
+
+	/** @member {Object[]}
+	    @description Snapshots, least recently used first */
+	this.entries = [];
+
+	/** @member {int}
+	    @description Memory used by snapshots (bytes) */
+	this.size = 0;
+
+	/**
+	 * Store a snapshot of a completed view
+	 *
+	 * @param {ZoomerView} view      - Completed view
+	 * @param {int}        cacheSize - Memory budget (bytes), 0 to disable
+	 */
+	this.store = (view, cacheSize) => {
+
+		const {centerX, centerY, radius, pixelWidth, pixelHeight, pixels} = view;
+
+		// already cached, touch
+		for (let k = 0; k < this.entries.length; k++) {
+			const entry = this.entries[k];
+
+			if (entry.centerX === centerX && entry.centerY === centerY && entry.radius === radius && entry.pixelWidth === pixelWidth && entry.pixelHeight === pixelHeight) {
+				this.entries.splice(k, 1);
+				this.entries.push(entry);
+				return;
+			}
+		}
+
+		// rulers and pixels
+		const size = 16 * (pixelWidth + pixelHeight) + pixels.byteLength;
+
+		// evict least recently used
+		while (this.entries.length && this.size + size > cacheSize)
+			this.size -= this.entries.shift().size;
+
+		if (size > cacheSize)
+			return; // does not fit
+
+		this.entries.push({
+			centerX: centerX,
+			centerY: centerY,
+			radius: radius,
+			pixelWidth: pixelWidth,
+			pixelHeight: pixelHeight,
+			xNearest: view.xNearest.slice(),
+			xScore: view.xScore.slice(),
+			yNearest: view.yNearest.slice(),
+			yScore: view.yScore.slice(),
+			pixels: pixels.slice(),
+			size: size
+		});
+		this.size += size;
+	};
+
+	/**
+	 * Find the best view to inherit pixels from for a new position.
+	 *
+	 * @param {ZoomerView} view         - View about to be positioned
+	 * @param {float}      centerX      - Center x of view
+	 * @param {float}      centerY      - Center y or view
+	 * @param {float}      radius       - Radius of view
+	 * @param {ZoomerView} previousView - Default candidate
+	 * @return {ZoomerView|Object} - `previousView` or a snapshot
+	 */
+	this.lookup = (view, centerX, centerY, radius, previousView) => {
+
+		if (!this.entries.length)
+			return previousView;
+
+		let best = -1;
+		let bestScore = view.scorePosition(centerX, centerY, radius, previousView);
+
+		for (let k = 0; k < this.entries.length && bestScore > 0; k++) {
+			const score = view.scorePosition(centerX, centerY, radius, this.entries[k]);
+			if (score < bestScore) {
+				best = k;
+				bestScore = score;
+			}
+		}
+
+		if (best < 0)
+			return previousView;
+
+		// touch
+		const entry = this.entries[best];
+		this.entries.splice(best, 1);
+		this.entries.push(entry);
+
+		return entry;
+	};
+
+	/**
+	 * Move the coordinate origin of all snapshots
+	 *
+	 * @param {float} dx - Shift of origin x
+	 * @param {float} dy - Shift of origin y
+	 */
+	this.rebase = (dx, dy) => {
+		for (const entry of this.entries) {
+			entry.centerX -= dx;
+			entry.centerY -= dy;
+
+			for (let i = 0; i < entry.xNearest.length; i++)
+				entry.xNearest[i] -= dx;
+			for (let j = 0; j < entry.yNearest.length; j++)
+				entry.yNearest[j] -= dy;
+		}
+	};
+
+	/**
+	 * Drop all snapshots
+	 */
+	this.clear = () => {
+		this.entries = [];
+		this.size = 0;
+	};
+}
+
+/**
+ * Frame scheduling controller, steers the Phase Locked Loop of a `Zoomer`.
+ *
+ * Owns the policy for `frameRate`, `turboFrameRate`, `updateSlice` and `coef` of the zoomer it is attached to.
+ * Modes:
+ * 	"fixed"   - `frameRate` as set by the application, lowered when frames drop
+ * 	"latency" - `frameRate` adapts so navigation shows on screen within `targetLatency`
+ * 	"quality" - `frameRate` adapts so that `targetQuality` of the rows/columns is exact when displayed
+ *
+ * @class
+ */
+function ZoomerController() {
+
+	/** @member {string}
+	    @description "fixed", "latency" or "quality" */
+	this.mode = "fixed";
+
+	/** @member {float}
+	    @description Fraction to lower `frameRate` with when frames drop */
+	this.dropPenalty = 0.05;
+
+	/** @member {float}
+	    @description Time (mSec) to adapt to a lowered `frameRate` before lowering again */
+	this.dropWindow = 2000;
+
+	/** @member {float}
+	    @description "latency" mode, time (mSec) from navigation to paint */
+	this.targetLatency = 100;
+
+	/** @member {float}
+	    @description "quality" mode, fraction of exact rows/columns 0..1 */
+	this.targetQuality = 0.5;
+
+	/** @member {float}
+	    @description Lower bound of adaptive `frameRate` */
+	this.minFrameRate = 1;
+
+	/** @member {float}
+	    @description Upper bound of adaptive `frameRate` */
+	this.maxFrameRate = 60;
+
+	/**
+	 * Frame dropped because the zoomer could not keep up.
+	 *
+	 * @param {Zoomer} zoomer
+	 * @param {float}  now    - `performance.now()`
+	 */
+	this.frameDropped = (zoomer, now) => {
+		if (now - zoomer.timeLastDrop > this.dropWindow) {
+			// after adaptation, if dropped lower FPS
+			zoomer.frameRate -= zoomer.frameRate * this.dropPenalty;
+			if (this.mode !== "fixed" && zoomer.frameRate < this.minFrameRate)
+				zoomer.frameRate = this.minFrameRate;
+			zoomer.timeLastDrop = now;
+		}
+	};
+
+	/**
+	 * Adapt `frameRate` to the mode. Called at the start of each frame.
+	 *
+	 * @param {Zoomer}     zoomer
+	 * @param {float}      overhead - Time (mSec) to render and paint a frame after construction
+	 * @param {ZoomerView} view     - View about to be displayed
+	 */
+	this.adjust = (zoomer, overhead, view) => {
+
+		let frameRate;
+
+		if (this.mode === "latency") {
+			/*
+			 * latency is a frame period of construction plus the overhead.
+			 * Frames are not started faster than they render, the rate drops when the target is out of reach.
+			 */
+			frameRate = 1000 / Math.max(this.targetLatency - overhead, overhead, zoomer.updateSlice);
+		} else if (this.mode === "quality") {
+			const {xScore, yScore, pixelWidth, pixelHeight} = view;
+
+			let cntExact = 0;
+			for (let i = 0; i < pixelWidth; i++)
+				if (xScore[i] === 0)
+					cntExact++;
+			for (let j = 0; j < pixelHeight; j++)
+				if (yScore[j] === 0)
+					cntExact++;
+
+			// below target, lower the frame rate for more time per frame
+			frameRate = zoomer.frameRate * (1 + cntExact / (pixelWidth + pixelHeight) - this.targetQuality);
+		} else {
+			return;
+		}
+
+		// low-pass and clip
+		frameRate = zoomer.frameRate + (frameRate - zoomer.frameRate) * zoomer.coef;
+		zoomer.frameRate = Math.min(Math.max(frameRate, this.minFrameRate), this.maxFrameRate);
+	};
+
+	/**
+	 * Apply a profile from `ZoomerController.profiles`.
+	 *
+	 * @param {Zoomer} zoomer
+	 * @param {string} name         - Profile name
+	 * @param {float}  maxFrameRate - Upper bound of `frameRate`, typically from a slider. "fixed" runs at it
+	 * @return {boolean} - false if profile unknown
+	 */
+	this.setProfile = (zoomer, name, maxFrameRate) => {
+		const profile = ZoomerController.profiles[name];
+		if (!profile)
+			return false;
+
+		this.mode = profile.mode;
+		this.targetLatency = profile.targetLatency;
+		this.targetQuality = profile.targetQuality;
+		this.maxFrameRate = maxFrameRate;
+
+		zoomer.turboFrameRate = profile.turboFrameRate;
+		zoomer.updateSlice = profile.updateSlice;
+		zoomer.coef = profile.coef;
+		zoomer.frameRate = this.mode === "fixed" ? maxFrameRate : Math.min(zoomer.frameRate, maxFrameRate);
+		return true;
+	};
+}
+
+/**
+ * Scheduling profiles for `ZoomerController.setProfile()`.
+ *
+ * @type {Object<string, Object>}
+ */
+ZoomerController.profiles = {
+	/*
+	 * Frame rate as set, the defaults of `Zoomer`.
+	 */
+	"fixed": {mode: "fixed", targetLatency: 100, targetQuality: 0.5, turboFrameRate: 2, updateSlice: 5, coef: 0.10},
+	/*
+	 * Fluid navigation, refinement fills in when movement stops.
+	 */
+	"smooth": {mode: "latency", targetLatency: 60, targetQuality: 0.5, turboFrameRate: 2, updateSlice: 5, coef: 0.10},
+	/*
+	 * Fewer frames that are mostly exact, for stills and recordings.
+	 */
+	"sharp": {mode: "quality", targetLatency: 250, targetQuality: 0.9, turboFrameRate: 1, updateSlice: 10, coef: 0.05},
+};
+
+/**
+ * Ring buffer of per-frame timings, for profiling.
+ * Unlike the averages of `Zoomer.updateStatistics()`, every frame is kept, including dropped and lost frames.
+ * Exports as JSON or as Chrome trace-event file for the performance panel.
+ *
+ * @class
+ * @param {int} size - Number of frames to keep, 0 to disable
+ */
+function ZoomerTrace(size) {
+
+	/** @member {int}
+	    @description Number of frames to keep */
+	this.size = size;
+
+	/** @member {Object[]}
+	    @description Ring buffer of entries */
+	this.entries = [];
+
+	/** @member {int}
+	    @description Position of the oldest entry when full */
+	this.next = 0;
+
+	/**
+	 * Record timings of a frame at end-of-life
+	 *
+	 * @param {ZoomerFrame} frame
+	 * @param {string}      status - "painted", "dropped" or "lost"
+	 */
+	this.record = (frame, status) => {
+		if (!this.size)
+			return;
+
+		const entry = {
+			frameNr: frame.frameNr,
+			status: status,
+			timeStart: frame.timeStart,
+			timeEnd: frame.timeEnd || performance.now(),
+			durationCOPY: frame.durationCOPY,
+			durationUPDATE: frame.durationUPDATE,
+			durationRENDER: frame.durationRENDER,
+			durationPAINT: frame.durationPAINT,
+			durationRoundTrip: frame.durationRoundTrip,
+			cntPixels: frame.cntPixels,
+			cntHLines: frame.cntHLines,
+			cntVLines: frame.cntVLines,
+			complete: frame.complete,
+			offscreen: frame.painted
+		};
+
+		if (this.entries.length < this.size) {
+			this.entries.push(entry);
+		} else {
+			this.entries[this.next] = entry;
+			this.next = (this.next + 1) % this.size;
+		}
+	};
+
+	/**
+	 * Entries, oldest first
+	 *
+	 * @return {Object[]}
+	 */
+	this.frames = () => {
+		return this.entries.slice(this.next).concat(this.entries.slice(0, this.next));
+	};
+
+	/**
+	 * Drop all entries
+	 */
+	this.clear = () => {
+		this.entries = [];
+		this.next = 0;
+	};
+
+	/**
+	 * Export as JSON
+	 *
+	 * @return {string}
+	 */
+	this.exportJSON = () => {
+		return JSON.stringify({frames: this.frames()});
+	};
+
+	/**
+	 * Export as Chrome trace-event file, loads in the performance panel.
+	 * States are complete events ("X") in microseconds. `UPDATE` is sliced, its duration is the sum of the slices.
+	 * `RENDER` and `PAINT` are placed before the end of the frame, dropped and lost frames are instant events.
+	 * `PAINT` by a render worker (`offscreenCanvas`) is on the render thread.
+	 *
+	 * @param {int} [pid] - Process id, to tell instances apart
+	 * @return {string}
+	 */
+	this.exportChromeTrace = (pid) => {
+		pid = pid || 1;
+
+		const MAIN = 1; // thread id of COPY, UPDATE and PAINT
+		const WORKER = 2; // thread id of RENDER
+
+		const traceEvents = [
+			{name: "thread_name", ph: "M", pid: pid, tid: MAIN, args: {name: "mainloop"}},
+			{name: "thread_name", ph: "M", pid: pid, tid: WORKER, args: {name: "render"}},
+		];
+
+		// state as complete event
+		const state = (name, tid, start, duration, entry) => {
+			traceEvents.push({name: name, cat: "zoomer", ph: "X", pid: pid, tid: tid, ts: Math.round(start * 1000), dur: Math.round(duration * 1000), args: {frameNr: entry.frameNr}});
+		};
+
+		for (const entry of this.frames()) {
+			state("COPY", MAIN, entry.timeStart, entry.durationCOPY, entry);
+			state("UPDATE", MAIN, entry.timeStart + entry.durationCOPY, entry.durationUPDATE, entry);
+
+			if (entry.status === "painted") {
+				state("RENDER", WORKER, entry.timeEnd - entry.durationPAINT - entry.durationRENDER, entry.durationRENDER, entry);
+				state("PAINT", entry.offscreen ? WORKER : MAIN, entry.timeEnd - entry.durationPAINT, entry.durationPAINT, entry);
+			} else {
+				traceEvents.push({name: entry.status, cat: "zoomer", ph: "i", s: "t", pid: pid, tid: MAIN, ts: Math.round(entry.timeEnd * 1000), args: {frameNr: entry.frameNr}});
+			}
+
+			traceEvents.push({
+				name: "frame", cat: "zoomer", ph: "C", pid: pid, ts: Math.round(entry.timeEnd * 1000), args: {
+					cntPixels: entry.cntPixels,
+					cntLines: entry.cntHLines + entry.cntVLines,
+					complete: entry.complete
+				}
+			});
+		}
+
+		return JSON.stringify({traceEvents: traceEvents, displayTimeUnit: "ms"});
+	};
+}
+
+/**
+ * Web workers shared by `Zoomer` instances on the same page.
+ *
+ * Render workers take frames of any instance, replies are routed by `instanceId`.
+ * Line workers keep the `onWorkerBegin()` state per instance.
+ * Free line worker slots are offered to the instances in turn, one line each, so no instance can starve the others.
+ *
+ * @class
+ */
+function ZoomerPool() {
+
+	/** @member {Zoomer[]}
+	    @description Attached instances */
+	this.owners = [];
+
+	/** @member {Worker[]}
+	    @description Render workers */
+	this.renderWorkers = [];
+
+	/** @member {Object[]}
+	    @description Line workers, {worker,generations,cntLines,avgRoundTrip,cntDropped} */
+	this.lineWorkers = [];
+
+	/** @member {int}
+	    @description Instance whose turn it is to dispatch a line */
+	this.nextOwner = 0;
+
+	/** @member {int}
+	    @description Next line worker for round-robin dispatch */
+	this.nextLineWorker = 0;
+
+	/**
+	 * Find attached instance
+	 *
+	 * @param {int} instanceId - `Zoomer.instanceId`
+	 * @return {Zoomer}
+	 */
+	this.owner = (instanceId) => {
+		return this.owners.find((zoomer) => zoomer.instanceId === instanceId);
+	};
+
+	/**
+	 * Attach an instance. The first creates the workers according to its options.
+	 *
+	 * @param {Zoomer} zoomer
+	 */
+	this.attach = (zoomer) => {
+		if (!this.owners.length)
+			this.createWorkers(zoomer);
+		this.owners.push(zoomer);
+
+		if (zoomer.disableWW)
+			return; // main thread only
+
+		zoomer.WWorkers = this.renderWorkers;
+		zoomer.lineWorkers = this.lineWorkers;
+
+		// statistics are per instance
+		for (let i = 0; i < this.renderWorkers.length; i++) {
+			zoomer.cntWorkerFrames[i] = 0;
+			zoomer.avgWorkerRoundTrip[i] = 0;
+			zoomer.cntWorkerDropped[i] = 0;
+			zoomer.cntWorkerLost[i] = 0;
+		}
+	};
+
+	/**
+	 * Offer free line worker slots to the instances in turn, until all slots are taken or nobody wants any.
+	 */
+	this.dispatchLines = () => {
+		// consecutive instances that declined
+		let cntIdle = 0;
+
+		while (cntIdle < this.owners.length) {
+			const zoomer = this.owners[this.nextOwner];
+			this.nextOwner = (this.nextOwner + 1) % this.owners.length;
+
+			// one being calculated and one queued
+			const i = zoomer.selectWorker(this.lineWorkers.map((lineWorker) => lineWorker.cntLines), this.nextLineWorker, 2);
+			if (i < 0)
+				break;
+
+			if (zoomer.dispatchLine(this.lineWorkers[i])) {
+				this.nextLineWorker = (i + 1) % this.lineWorkers.length;
+				cntIdle = 0;
+			} else {
+				cntIdle++;
+			}
+		}
+	};
+
+	/**
+	 * Create web workers
+	 *
+	 * @param {Zoomer} zoomer - Instance supplying `cntWorkers`, `disableWW`, `workerScripts` and `onWorkerPixel()`
+	 */
+	this.createWorkers = (zoomer) => {
+
+		const cntWorkers = zoomer.cntWorkers || navigator.hardwareConcurrency || 2;
+
+		/*
+		 * Render and line workers share one budget, leaving a core for the main thread.
+		 * Rendering is light compared to calculating lines and frames from many render workers arrive out of order.
+		 * Only the owner of a transferred canvas can paint, so frames of that instance are pinned to it.
+		 */
+		const cntRenderWorkers = (zoomer.offscreenCanvas && zoomer.offscreenCanvas.transferControlToOffscreen) || cntWorkers < 8 ? 1 : 2;
+		const cntLineWorkers = Math.max(1, cntWorkers - cntRenderWorkers - 1);
+
+		if (!zoomer.disableWW) {
+			let dataObj = "( function () { \n";
+			dataObj += zoomerMemcpy;
+			dataObj += "\n";
+			dataObj += zoomerPaletteLerp;
+			dataObj += "\n";
+			dataObj += zoomerBilinear;
+			dataObj += "\n";
+			dataObj += zoomerRenderFrame;
+			dataObj += "\n";
+			dataObj += zoomerRenderHeat;
+			dataObj += "\n";
+			dataObj += zoomerPaintFrame;
+			dataObj += "\n";
+			dataObj += "const contexts = {};\n";
+			dataObj += "addEventListener(\"message\", (e) => { \n";
+			dataObj += "const frame = e.data;\n";
+			dataObj += "if (frame.canvas) {\n";
+			dataObj += "  contexts[frame.instanceId] = frame.canvas.getContext(\"2d\", {desynchronized: true});\n";
+			dataObj += "  return;\n";
+			dataObj += "}\n";
+			dataObj += "zoomerRenderFrame(frame);\n";
+			dataObj += "if (frame.durationRENDER && contexts[frame.instanceId])\n";
+			dataObj += "  zoomerPaintFrame(contexts[frame.instanceId], frame);\n";
+			dataObj += "if (frame.palette)\n";
+			dataObj += "  postMessage(frame, [frame.rgba.buffer, frame.pixels.buffer, frame.palette.buffer]);\n";
+			dataObj += "else\n";
+			dataObj += "  postMessage(frame, [frame.rgba.buffer, frame.pixels.buffer]);\n";
+			dataObj += "})})()\n";
+
+			const blob = new Blob([dataObj]);
+			const blobURL = (URL ? URL : webkitURL).createObjectURL(blob);
 
-		let ji = 0;
-		for (let j = 0; j < pixelHeight; j++) {
-			const y = (centerY - this.radius) + this.radius * 2 * j / pixelHeight;
-			for (let i = 0; i < pixelWidth; i++) {
-				// distance to center
-				const x = (centerX - this.radius) + this.radius * 2 * i / pixelWidth;
-				pixels[ji++] = zoomer.onUpdatePixel(zoomer, this.frame, x, y);
+			// create workers
+			for (let i = 0; i < cntRenderWorkers; i++) {
+				const worker = new Worker(blobURL);
+				this.renderWorkers.push(worker);
+
+				worker.addEventListener("message", (e) => {
+					/** @var {ZoomerFrame} */
+					const frame = e.data;
+
+					this.owner(frame.instanceId).receiveFrame(i, frame);
+				});
 			}
 		}
-		this.frame.cntPixels = pixelWidth * pixelHeight;
 
-		// update completion
-		this.frame.complete = 1;
+		/*
+		 * create line workers
+		 */
+
+		if (!zoomer.disableWW && zoomer.onWorkerPixel) {
+			let dataObj = "( function () { \n";
+			if (zoomer.workerScripts.length)
+				dataObj += "importScripts(" + zoomer.workerScripts.map((url) => JSON.stringify(url)).join(", ") + ");\n";
+			dataObj += zoomerUpdateLine;
+			dataObj += "\n";
+			dataObj += "const onWorkerPixel = " + zoomer.onWorkerPixel + ";\n";
+			dataObj += "const states = {};\n";
+			dataObj += "addEventListener(\"message\", (e) => { \n";
+			dataObj += "const line = e.data;\n";
+			dataObj += "if (line.state)\n";
+			dataObj += "  states[line.instanceId] = line.state;\n";
+			dataObj += "const state = states[line.instanceId];\n";
+			dataObj += "zoomerUpdateLine(line, state, onWorkerPixel);\n";
+			dataObj += "line.state = state;\n";
+			dataObj += "postMessage(line, [line.coords.buffer, line.results.buffer]);\n";
+			dataObj += "})})()\n";
+
+			const blob = new Blob([dataObj]);
+			const blobURL = (URL ? URL : webkitURL).createObjectURL(blob);
+
+			// create workers
+			for (let i = 0; i < cntLineWorkers; i++) {
+				const lineWorker = {worker: new Worker(blobURL), generations: {}, cntLines: 0, avgRoundTrip: 0, cntDropped: 0};
+				this.lineWorkers.push(lineWorker);
+
+				lineWorker.worker.addEventListener("message", (e) => {
+					const line = e.data;
+
+					this.owner(line.instanceId).receiveLine(lineWorker, line);
+
+					// keep busy until end time
+					this.dispatchLines();
+				});
+
+				lineWorker.worker.addEventListener("error", (e) => {
+					// failed to load or calculate, fall back to main thread
+					for (const zoomer of this.owners)
+						zoomer.cancelLines();
+					for (const lineWorker of this.lineWorkers)
+						lineWorker.worker.terminate();
+					this.lineWorkers.length = 0; // shared with the instances
+					for (const zoomer of this.owners) {
+						zoomer.lines = [];
+						zoomer.workerState = null;
+					}
+				});
+			}
+		}
 	};
 }
 
@@ -769,10 +2197,31 @@ function ZoomerView(viewWidth, viewHeight, pixelWidth, pixelHeight) {
  * @param {float}	[options.turboFrameRate] - Frames per second when no navigational changes
  * @param {float}	[options.updateSlice]	 - UPDATEs get sliced into smaller chucks to stay responsive and limit overshoot
  * @param {float}	[options.coef]		 - Low-pass filter coefficient to dampen spikes
+ * @param {ZoomerController} [options.controller] - Frame scheduling controller
+ * @param {int}		[options.traceSize]	 - Number of frames to keep for `trace`, 0 to disable
+ * @param {float}	[options.devicePixelRatio] - Canvas pixels per CSS pixel, for client coordinates
  * @param {boolean}	[options.disableWW]	 - Disable Web Workers
+ * @param {boolean}	[options.deterministic]	 - Reproducible frames, virtual clock and fixed line budget
+ * @param {int}		[options.linesPerFrame]	 - Line budget per frame when deterministic
+ * @param {int}		[options.supersample]	 - Supersampling, 1=off, 2=2x2, 3=3x3, 4=4x4
+ * @param {int}		[options.cacheSize]	 - Memory budget (bytes) of completed views, 0 to disable
+ * @param {boolean}	[options.floatPixels]	 - Fractional pixel values, for smooth colouring
+ * @param {boolean}	[options.bilinear]	 - Bilinear sampling when rotated
+ * @param {float}	[options.bilinearBudget] - Time (mSec) per frame for bilinear sampling
+ * @param {boolean}	[options.heatmap]	 - Overlay refinement heat-map of the rulers
+ * @param {int}		[options.cntWorkers]	 - Cores for web workers and main thread, 0 for hardware concurrency
+ * @param {string}	[options.workerDispatch] - Dispatch to web workers, "least-busy" or "round-robin"
+ * @param {string}	[options.lineStrategy]	 - Order of line refinement, key of `ZoomerView.lineStrategies`
+ * @param {boolean}	[options.mirrorY]	 - Pixels are symmetric in the real axis (y=0)
+ * @param {string[]}	[options.workerScripts]	 - Scripts imported by line workers
+ * @param {HTMLCanvasElement} [options.offscreenCanvas] - Canvas to transfer to a render worker for painting
+ * @param {ZoomerPool}	[options.pool]		 - Web workers shared with other instances
  * @param {function}	[options.onInitFrame]	 - Additional allocation of a new frame.
  * @param {function}	[options.onBeginFrame]	 - Called before start frame. Set x,y,radius,angle.
  * @param {function}	[options.onUpdatePixel]	 - Called to calculate pixel values.
+ * @param {function}	[options.onWorkerBegin]	 - Called before start frame. Create state for line workers.
+ * @param {function}	[options.onWorkerPixel]	 - Called to calculate pixel values inside line workers.
+ * @param {function}	[options.onWorkerEnd]	 - Called after merging results of line workers.
  * @param {function}	[options.onRenderFrame]	 - Called directly before rendering. Set palette.
  * @param {function}	[options.onEndFrame]	 - Called directly after frame complete. Update statistics
  * @param {function}	[options.onPutImageData] - Inject frame into canvas.
@@ -822,6 +2271,61 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	 */
 	this.coef = 0.10;
 
+	/**
+	 * Supersampling anti-aliasing.
+	 * Frames are calculated `supersample` times larger in each direction and box-filtered down to the screen.
+	 * Quality comes at the cost of `supersample` squared more pixels.
+	 *
+	 * @member {int} - 1=off, 2=2x2, 3=3x3, 4=4x4
+	 */
+	this.supersample = 1;
+
+	/**
+	 * Memory budget for caching completed views.
+	 * When zooming back out, new views inherit from the best matching cached view instead of only the previous.
+	 * A 1920x1080 view takes about 4MB.
+	 *
+	 * @member {int} - Memory budget (bytes), 0 to disable
+	 */
+	this.cacheSize = 64 * 1024 * 1024;
+
+	/**
+	 * Fractional pixel values.
+	 * Frames store pixels as `Float32Array` and rendering interpolates between palette entries.
+	 * For smooth (banding-free) colouring, requires a palette.
+	 *
+	 * @member {boolean} - Float/integer pixels
+	 */
+	this.floatPixels = false;
+
+	/**
+	 * Bilinear sampling when rotated.
+	 * Nearest-neighbour makes rotating views shimmer, bilinear blends the four surrounding pixels.
+	 * Does not apply with supersampling, which already filters.
+	 *
+	 * @member {boolean} - Enable bilinear sampling
+	 */
+	this.bilinear = false;
+
+	/**
+	 * Render time budget for bilinear sampling.
+	 * Under load, rows that do not fit fall back to nearest-neighbour.
+	 * Unlimited when `deterministic`, frames then do not depend on the clock.
+	 *
+	 * @member {float} - Time (mSec) per frame
+	 */
+	this.bilinearBudget = 10;
+
+	/**
+	 * Debug overlay showing the refinement state of the rulers.
+	 * Rows/columns inherited from the previous frame are tinted red, the more stale the redder.
+	 * Rows/columns calculated for the frame are tinted green.
+	 * Helps tuning `updateSlice` and `frameRate`.
+	 *
+	 * @member {boolean} - Enable heat-map overlay
+	 */
+	this.heatmap = false;
+
 	/**
 	 * Disable web-workers.
 	 * Offload frame rendering to web-workers.
@@ -832,6 +2336,135 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	 */
 	this.disableWW = false;
 
+	/**
+	 * Number of cores for web-workers, including one for the main thread.
+	 * Zero uses `navigator.hardwareConcurrency`.
+	 * One render worker, two from 8 cores unless painting with `offscreenCanvas`. The others are line workers.
+	 *
+	 * @member {int} - Number of cores
+	 */
+	this.cntWorkers = 0;
+
+	/**
+	 * How to choose a web-worker.
+	 * "least-busy" picks the worker with the least work in flight, "round-robin" takes turns.
+	 * Frames of an instance painting with `offscreenCanvas` always go to the canvas owner.
+	 *
+	 * @member {string} - "least-busy" or "round-robin"
+	 */
+	this.workerDispatch = "least-busy";
+
+	/**
+	 * Order in which lines are refined, for both `updateLines()` and line workers.
+	 * "worst-score", "center-out", "target" or "interlace", see `ZoomerView.lineStrategies`.
+	 * Can be changed at any time, the ordering affects how `complete` progresses.
+	 *
+	 * @member {string} - Strategy name
+	 */
+	this.lineStrategy = "worst-score";
+
+	/**
+	 * Target coordinate for the "target" line strategy.
+	 * Typically set by `onBeginFrame()` to where the mouse or autopilot is zooming into.
+	 *
+	 * @member {float} - Target x coordinate
+	 */
+	this.targetX = 0;
+
+	/** @member {float}
+	    @description Target y coordinate */
+	this.targetY = 0;
+
+	/**
+	 * Pixels are symmetric in the real axis, the value at (x,-y) equals (x,y).
+	 * When the view straddles y=0, rows and cross points are copied from their mirrored counterpart instead of calculated.
+	 * Roughly halves the work of the home view and shallow zooms.
+	 * When rows mirror off-phase the copy is inherited and refined later, see `ZoomerView.makeMirror()`.
+	 * Only the application knows if the formula, colouring and coordinate origin are symmetric,
+	 * typically set by `onBeginFrame()`.
+	 *
+	 * @member {boolean} - Copy mirrored pixels
+	 */
+	this.mirrorY = false;
+
+	/**
+	 * Scripts for line workers to import with `importScripts()`.
+	 * Line workers are created from a blob, URLs must be absolute.
+	 *
+	 * @member {string[]} - Absolute URLs
+	 */
+	this.workerScripts = [];
+
+	/**
+	 * Web workers shared with other instances on the same page.
+	 * The first instance to attach creates the workers, instances sharing a pool should have
+	 * identical `cntWorkers`, `workerScripts`, `onWorkerPixel()` and presence of `offscreenCanvas`.
+	 * Line workers take turns between instances, per instance state is from `onWorkerBegin()`.
+	 *
+	 * @member {ZoomerPool|null} - Shared workers, null for private
+	 */
+	this.pool = null;
+
+	/**
+	 * Frame scheduling controller.
+	 * Steers `frameRate` in "fixed", "latency" or "quality" mode and holds the frame drop penalty.
+	 * `setProfile()` switches between "fixed" frame rate, "smooth" motion and "sharp" image.
+	 *
+	 * @member {ZoomerController} - Controller
+	 */
+	this.controller = new ZoomerController();
+
+	/**
+	 * Number of frames to keep in the performance trace ring buffer.
+	 * Read at construction, `trace` exports them with `exportJSON()` or `exportChromeTrace()`.
+	 *
+	 * @member {int} - Number of frames, 0 to disable
+	 */
+	this.traceSize = 0;
+
+	/**
+	 * Canvas pixels per CSS pixel.
+	 * Used by `clientXYtoCoordXY()` and `coordXYtoClientXY()`, update when the canvas is scaled.
+	 *
+	 * @member {float} - Physical pixels per CSS pixel
+	 */
+	this.devicePixelRatio = 1;
+
+	/**
+	 * Canvas to paint from a render worker.
+	 * When `OffscreenCanvas` is available, control is transferred to a render worker which paints rendered frames directly.
+	 * The main thread then skips `onPutImageData()`, frames still arrive at `onEndFrame()` with their RGBA.
+	 * The canvas must not have a rendering context and can no longer be sized by the main thread.
+	 * Frames are no longer spread over render workers, a pool created with a canvas has a single render worker.
+	 * Not transferred when `deterministic`, those frames are painted by the main thread.
+	 *
+	 * @member {HTMLCanvasElement|null} - Canvas, null to paint with `onPutImageData()`
+	 */
+	this.offscreenCanvas = null;
+
+	/** @member {int}
+	    @description Render worker owning the transferred canvas, -1 for none */
+	this.paintWorker = -1;
+
+	/**
+	 * Deterministic rendering.
+	 * Frame contents depend on how many lines were calculated, which normally depends on timing.
+	 * When deterministic, every frame gets `linesPerFrame` lines and frames never expire, drop or enter turbo.
+	 * `now()` returns a virtual clock that advances one frame (`1000 / frameRate`) per frame.
+	 * Web workers are bypassed, the order in which their results arrive is not reproducible.
+	 * A sequence of `setPosition()` calls then always yields identical frames.
+	 *
+	 * @member {boolean} - Enable deterministic mode
+	 */
+	this.deterministic = false;
+
+	/**
+	 * Number of lines to calculate per frame when deterministic.
+	 *
+	 * @member {int} - Line budget per frame
+	 */
+	this.linesPerFrame = 100;
+
 	/**
 	 * Additional resources added to new frames.
 	 * Frames are passed to webworkers.
@@ -884,6 +2517,47 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 		return 0; /* your code here */
 	};
 
+	/**
+	 * Create the state for line workers, called before start frame.
+	 * Line workers calculate lines in parallel to keep the main thread responsive.
+	 * The state is sent to the line workers and passed to `onWorkerPixel()`.
+	 * Return null to calculate this frame with `onUpdatePixel()`.
+	 *
+	 * @param {Zoomer} zoomer - Running engine
+	 * @return {Object|null} - State for `onWorkerPixel()`
+	 */
+	this.onWorkerBegin = (zoomer) => {
+		// snapshot of settings
+
+		return {}; /* your code here */
+	};
+
+	/**
+	 * Line worker equivalent of `onUpdatePixel()`.
+	 * NOTE: Runs inside a line worker. The source is copied, it has no access to the `Zoomer` context.
+	 *       Only `state` and what `workerScripts` import are available.
+	 * Set to null to disable line workers.
+	 *
+	 * @param {Object} state - From `onWorkerBegin()`
+	 * @param {float}  x     - X coordinate
+	 * @param {float}  y     - Y coordinate
+	 * @return {int} - Pixel value
+	 */
+	this.onWorkerPixel = null;
+
+	/**
+	 * Results of a line worker have been merged.
+	 * The state is the copy of the line worker, changes made by `onWorkerPixel()` are included.
+	 *
+	 * @param {Zoomer} zoomer - Running engine
+	 * @param {Object} state  - Line worker state
+	 */
+	this.onWorkerEnd = (zoomer, state) => {
+		// collect feedback
+
+		/* maxIter = Math.max(maxIter, state.maxIter); */
+	};
+
 	/**
 	 * Start extracting (rotated) RGBA values from (paletted) pixels.
 	 * Extract rotated view from pixels and store them in specified imagedata.
@@ -1001,6 +2675,18 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	const RENDER = 3; // render old frame
 	const PAINT = 4; // paint old frame
 
+	/*
+	 * Lifecycle events and their option callback.
+	 * The callback is called before the listeners.
+	 */
+	const CALLBACKS = {
+		initFrame: "onInitFrame",
+		beginFrame: "onBeginFrame",
+		renderFrame: "onRenderFrame",
+		endFrame: "onEndFrame",
+		putImageData: "onPutImageData",
+	};
+
 	/** @member {int}
 	    @description Current frame number*/
 	this.frameNr = 0;
@@ -1010,7 +2696,7 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	this.mainloopNr = 0;
 
 	/** @member {ZoomerView}
-	    @description View #0 for even frames */
+	    @description View #0 for even frames. Views are sized in pixels, that is including supersampling */
 	this.view0 = new ZoomerView(this.viewWidth, this.viewHeight, this.pixelWidth, this.pixelHeight);
 
 	/** @member {ZoomerView}
@@ -1033,10 +2719,62 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	    @description list of free frames */
 	this.frames = [];
 
+	/** @member {ZoomerCache}
+	    @description Completed views to inherit from when zooming back out */
+	this.cache = new ZoomerCache();
+
+	/** @member {ZoomerTrace}
+	    @description Per-frame timings, sized by `traceSize` */
+	this.trace = new ZoomerTrace(0);
+
+	/** @member {int}
+	    @description Unique per page, routes messages */
+	this.instanceId = 0;
+
+	/** @member {string}
+	    @description Message to self that triggers `mainloop()` */
+	this.mainloopId = "mainloop";
+
 	/** @member {Worker[]}
-	    @description Web workers */
+	    @description Web workers, from `pool` */
 	this.WWorkers = [];
 
+	/** @member {int}
+	    @description Next web worker for round-robin dispatch */
+	this.nextWorker = 0;
+
+	/** @member {int[]}
+	    @description Frames in flight per web worker */
+	this.cntWorkerFrames = [];
+
+	/** @member {Object[]}
+	    @description Line workers from `pool`, {worker,generations,cntLines,avgRoundTrip,cntDropped} */
+	this.lineWorkers = [];
+
+	/** @member {Object[]}
+	    @description Lines in flight */
+	this.lines = [];
+
+	/** @member {int}
+	    @description Line number, identifies lines in flight */
+	this.lineNr = 0;
+
+	/** @member {int}
+	    @description Changes when `calcView` is reset. Results of older generations are stale. */
+	this.lineGeneration = 0;
+
+	/** @member {boolean}
+	    @description "frameComplete" dispatched since the last `setPosition()` or `resize()` */
+	this.positionComplete = false;
+
+	/** @member {Object|null}
+	    @description Current line worker state from `onWorkerBegin()`, null to calculate in main thread */
+	this.workerState = null;
+
+	/** @member {float}
+	    @description Timestamp to stop dispatching lines for the current frame */
+	this.timeDispatchEnd = 0;
+
 	/**
 	 * @member {boolean}
 	 * @property {number}  0 NORMAL
@@ -1065,6 +2803,14 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	    @description Timestamp of last dropped frame */
 	this.timeLastDrop = 0;
 
+	/** @member {float}
+	    @description Virtual clock for deterministic mode */
+	this.timeVirtual = 0;
+
+	/** @member {int}
+	    @description Lines left of the line budget of the current frame */
+	this.cntLinesLeft = 0;
+
 	/** @member {int}
 	    @description Frame number sending to workers */
 	this.sendFrameNr = 0;
@@ -1101,6 +2847,10 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	    @description Average worker round-trip time */
 	this.avgRoundTrip = 0;
 
+	/** @member {float[]}
+	    @description Average round-trip time per web worker */
+	this.avgWorkerRoundTrip = [];
+
 	/** @member {float[]}
 	    @description Average real frame rate */
 	this.avgFrameRate = 0;
@@ -1121,6 +2871,101 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	    @description Number of lost frames, out-of-order */
 	this.cntLost = 0;
 
+	/** @member {int[]}
+	    @description Number of dropped frames per web worker */
+	this.cntWorkerDropped = [];
+
+	/** @member {int[]}
+	    @description Number of lost frames per web worker */
+	this.cntWorkerLost = [];
+
+	/** @member {Object}
+	    @description Event listeners, arrays by type */
+	this.listeners = {};
+
+	/**
+	 * Add listener for an event.
+	 * Listeners are called in order of registration with the same arguments as the matching option callback.
+	 *
+	 * Lifecycle events: "initFrame", "beginFrame", "renderFrame", "endFrame", "putImageData".
+	 * Other events:
+	 * 	"stateChange"   (zoomer, oldState, newState, [frame])
+	 * 		With web workers, `RENDER` and `PAINT` run beside the mainloop.
+	 * 		Their transitions are as-if, with the frame as extra argument.
+	 * 	"resize"        (zoomer, viewWidth, viewHeight, enableAngle)
+	 * 	"frameComplete" (zoomer, frame) - nothing left to calculate, once per position
+	 *
+	 * NOTE: `onUpdatePixel()` returns a value and remains a single callback.
+	 *
+	 * @param {string}   type     - Event type
+	 * @param {function} listener - Called with `zoomer` followed by event arguments
+	 */
+	this.addEventListener = (type, listener) => {
+		if (!this.listeners[type])
+			this.listeners[type] = [];
+		this.listeners[type].push(listener);
+	};
+
+	/**
+	 * Remove listener for an event
+	 *
+	 * @param {string}   type     - Event type
+	 * @param {function} listener - As passed to `addEventListener()`
+	 */
+	this.removeEventListener = (type, listener) => {
+		const listeners = this.listeners[type];
+		if (listeners) {
+			const k = listeners.indexOf(listener);
+			if (k >= 0)
+				listeners.splice(k, 1);
+		}
+	};
+
+	/**
+	 * Call option callback and listeners of an event
+	 *
+	 * @param {string} type - Event type
+	 * @param {...*}   args - Event arguments
+	 */
+	this.dispatchEvent = (type, ...args) => {
+		const callback = CALLBACKS[type];
+		if (callback)
+			this[callback](this, ...args);
+
+		const listeners = this.listeners[type];
+		if (listeners) {
+			// copy, listeners may remove themselves
+			for (const listener of listeners.slice())
+				listener(this, ...args);
+		}
+	};
+
+	/**
+	 * Change state and update state statistics
+	 *
+	 * @param {int}   state - New state
+	 * @param {float} now   - `performance.now()`
+	 */
+	this.changeState = (state, now) => {
+		const oldState = this.state;
+
+		this.avgStateDuration[oldState] += ((now - this.stateStart[oldState]) - this.avgStateDuration[oldState]) * this.coef;
+		this.state = state;
+		this.stateStart[state] = now;
+
+		this.dispatchEvent("stateChange", oldState, state);
+	};
+
+	/**
+	 * Current time. Virtual when deterministic.
+	 * Use this for timed updates (piloting) in `onBeginFrame()`.
+	 *
+	 * @return {float} - Milli-seconds, like `performance.now()`
+	 */
+	this.now = () => {
+		return this.deterministic ? this.timeVirtual : performance.now();
+	};
+
 	/**
 	 * Allocate a new frame, reuse if same size otherwise let it garbage collect
 	 *
@@ -1139,12 +2984,17 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 
 			// allocate new if list empty
 			if (!frame)
-				frame = new ZoomerFrame(viewWidth, viewHeight, pixelWidth, pixelHeight);
+				frame = new ZoomerFrame(viewWidth, viewHeight, pixelWidth, pixelHeight, this.floatPixels);
 
-			// return if dimensions match
-			if (frame.viewWidth === viewWidth && frame.viewHeight === viewHeight && frame.pixelWidth === pixelWidth && frame.pixelHeight === pixelHeight) {
+			// return if dimensions and pixel type match
+			if (frame.viewWidth === viewWidth && frame.viewHeight === viewHeight && frame.pixelWidth === pixelWidth && frame.pixelHeight === pixelHeight && (frame.pixels instanceof Float32Array) === !!this.floatPixels) {
 				frame.frameNr = this.frameNr;
 				frame.angle = angle;
+				frame.supersample = this.supersample;
+				frame.bilinear = this.bilinear;
+				frame.bilinearBudget = this.deterministic ? Infinity : this.bilinearBudget; // deterministic frames don't depend on the clock
+				frame.xHeat = null;
+				frame.yHeat = null;
 
 				// clear statistics
 				frame.timeStart = 0;
@@ -1159,28 +3009,132 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 				frame.cntVLines = 0;
 
 				// additional allocation
-				this.onInitFrame(this, frame);
+				this.dispatchEvent("initFrame", frame);
+
+				return frame;
+			}
+		}
+	};
+
+	/**
+	 * Update statistics with frame metrics
+	 *
+	 * @param {ZoomerFrame} frame
+	 */
+	this.updateStatistics = (frame) => {
+		this.avgFrameDuration[COPY] += (frame.durationCOPY - this.avgFrameDuration[COPY]) * this.coef;
+		this.avgFrameDuration[UPDATE] += (frame.durationUPDATE - this.avgFrameDuration[UPDATE]) * this.coef;
+		this.avgFrameDuration[RENDER] += (frame.durationRENDER - this.avgFrameDuration[RENDER]) * this.coef;
+		this.avgFrameDuration[PAINT] += (frame.durationPAINT - this.avgFrameDuration[PAINT]) * this.coef;
+		this.avgPixelsPerFrame += (frame.cntPixels - this.avgPixelsPerFrame) * this.coef;
+		this.avgLinesPerFrame += ((frame.cntHLines + frame.cntVLines) - this.avgLinesPerFrame) * this.coef;
+		this.avgRoundTrip += (frame.durationRoundTrip - this.avgRoundTrip) * this.coef;
+		this.avgComplete += ((frame.cntPixels / (frame.pixelWidth * frame.pixelHeight)) - this.avgComplete) * this.coef;
+
+		this.trace.record(frame, "painted");
+	};
+
+	/**
+	 * Choose a web worker according to `workerDispatch`.
+	 * Round-robin passes over workers that are at `limit`.
+	 *
+	 * @param {int[]} counts - Work in flight per worker
+	 * @param {int}   next   - Round-robin position
+	 * @param {int}   limit  - Maximum work in flight
+	 * @return {int} - Index of worker, -1 when all are at `limit`
+	 */
+	this.selectWorker = (counts, next, limit) => {
+		let best = -1;
+
+		for (let k = 0; k < counts.length; k++) {
+			const i = (next + k) % counts.length;
+			if (counts[i] >= limit)
+				continue;
+			if (this.workerDispatch === "round-robin")
+				return i;
+			if (best < 0 || counts[i] < counts[best])
+				best = i;
+		}
+		return best;
+	};
+
+	/**
+	 * Dispatch lines to line workers. The pool takes turns with other instances sharing it.
+	 */
+	this.dispatchLines = () => {
+		this.pool.dispatchLines();
+	};
+
+	/**
+	 * Dispatch a line of `calcView` to a line worker.
+	 * Only during UPDATE and until end time.
+	 *
+	 * @param {Object} lineWorker - Line worker with a free slot
+	 * @return {boolean} - false if nothing dispatched
+	 */
+	this.dispatchLine = (lineWorker) => {
+		if (this.state !== UPDATE || !this.workerState || performance.now() >= this.timeDispatchEnd)
+			return false;
+
+		const line = this.calcView.selectLine(this);
+		if (!line)
+			return false;
+
+		line.instanceId = this.instanceId;
+		line.lineNr = this.lineNr++;
+		line.generation = this.lineGeneration;
+
+		// send state only once
+		if (lineWorker.generations[this.instanceId] !== this.lineGeneration) {
+			line.state = this.workerState;
+			lineWorker.generations[this.instanceId] = this.lineGeneration;
+		}
+
+		lineWorker.cntLines++;
+		this.lines.push(line);
+		line.durationRoundTrip = performance.now();
+		lineWorker.worker.postMessage(line, [line.coords.buffer, line.results.buffer]);
+
+		return true;
+	};
 
-				return frame;
-			}
+	/**
+	 * Count lines in flight for `calcView`
+	 *
+	 * @return {int}
+	 */
+	this.countLines = () => {
+		let cntLines = 0;
+		for (const line of this.lines) {
+			if (line.generation === this.lineGeneration)
+				cntLines++;
 		}
+		return cntLines;
 	};
 
 	/**
-	 * Update statistics with frame metrics
+	 * Nothing left to calculate, dispatch "frameComplete" once per position.
 	 *
-	 * @param {ZoomerFrame} frame
+	 * @param {ZoomerFrame} frame - Frame under construction
 	 */
-	this.updateStatistics = (frame) => {
-		this.avgFrameDuration[COPY] += (frame.durationCOPY - this.avgFrameDuration[COPY]) * this.coef;
-		this.avgFrameDuration[UPDATE] += (frame.durationUPDATE - this.avgFrameDuration[UPDATE]) * this.coef;
-		this.avgFrameDuration[RENDER] += (frame.durationRENDER - this.avgFrameDuration[RENDER]) * this.coef;
-		this.avgFrameDuration[PAINT] += (frame.durationPAINT - this.avgFrameDuration[PAINT]) * this.coef;
-		this.avgPixelsPerFrame += (frame.cntPixels - this.avgPixelsPerFrame) * this.coef;
-		this.avgLinesPerFrame += ((frame.cntHLines + frame.cntVLines) - this.avgLinesPerFrame) * this.coef;
-		this.avgRoundTrip += (frame.durationRoundTrip - this.avgRoundTrip) * this.coef;
-		this.avgComplete += ((frame.cntPixels / (frame.pixelWidth * frame.pixelHeight)) - this.avgComplete) * this.coef;
+	this.completeFrame = (frame) => {
+		if (this.positionComplete)
+			return;
+
+		this.positionComplete = true;
+		this.dispatchEvent("frameComplete", frame);
+	};
+
+	/**
+	 * `calcView` is about to be reset. Undo lines in flight, their results will be stale.
+	 */
+	this.cancelLines = () => {
+		for (const line of this.lines) {
+			if (line.generation === this.lineGeneration)
+				this.calcView.cancelLine(line);
+		}
 
+		this.lineGeneration++;
 	};
 
 	/**
@@ -1197,6 +3151,7 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 
 		// exit turbo mode
 		this.turboActive = NORMAL;
+		this.positionComplete = false;
 
 		this.centerX = centerX;
 		this.centerY = centerY;
@@ -1217,11 +3172,160 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 
 		// optionally inject keyFrame into current view
 		if (keyView) {
+			// start afresh
+			this.cache.clear();
+
+			this.cancelLines();
+			this.workerState = (this.lineWorkers.length && !this.deterministic) ? this.onWorkerBegin(this) : null;
+
 			this.calcFrame = this.allocFrame(this.viewWidth, this.viewHeight, this.pixelWidth, this.pixelHeight, this.angle);
 			this.calcView.setPosition(this.calcFrame, this.centerX, this.centerY, this.radius, keyView);
 		}
 	};
 
+	/**
+	 * Move the coordinate origin of the center, both views and the cache.
+	 * Intended to be called from `onBeginFrame()`, before the rulers are inherited.
+	 *
+	 * @param {float} dx - Shift of origin x
+	 * @param {float} dy - Shift of origin y
+	 */
+	this.rebase = (dx, dy) => {
+		this.centerX -= dx;
+		this.centerY -= dy;
+		this.targetX -= dx;
+		this.targetY -= dy;
+
+		this.view0.rebase(dx, dy);
+		this.view1.rebase(dx, dy);
+		this.cache.rebase(dx, dy);
+	};
+
+	/**
+	 * Snapshot of `calcView` as binary session, to resume a long render with `loadSession()`.
+	 *
+	 * Layout, native byte order:
+	 * 	"JFZS", version, header length, JSON header, padding to 8 bytes,
+	 * 	xNearest, xScore, yNearest, yScore (Float64Array), pixels (Uint32Array or Float32Array)
+	 *
+	 * Lines in flight are saved as not calculated.
+	 *
+	 * @param {Object} [state] - Application state, returned by `parseSession()`
+	 * @return {ArrayBuffer}
+	 */
+	this.saveSession = (state) => {
+
+		const view = this.calcView;
+		const {pixelWidth, pixelHeight, pixels} = view;
+
+		const xNearest = view.xNearest.slice();
+		const xScore = view.xScore.slice();
+		const yNearest = view.yNearest.slice();
+		const yScore = view.yScore.slice();
+
+		// undo lines in flight, same as `ZoomerView.cancelLine()`
+		for (const line of this.lines) {
+			if (line.generation === this.lineGeneration) {
+				if (line.isX) {
+					xNearest[line.index] = line.oldNearest;
+					xScore[line.index] = line.oldScore;
+				} else {
+					yNearest[line.index] = line.oldNearest;
+					yScore[line.index] = line.oldScore;
+				}
+			}
+		}
+
+		const header = new TextEncoder().encode(JSON.stringify({
+			state: state,
+			centerX: view.centerX,
+			centerY: view.centerY,
+			radius: view.radius,
+			angle: view.frame.angle,
+			pixelWidth: pixelWidth,
+			pixelHeight: pixelHeight,
+			floatPixels: pixels instanceof Float32Array
+		}));
+
+		// typed arrays need alignment
+		const offset = (12 + header.length + 7) & ~7;
+		const buffer = new ArrayBuffer(offset + 16 * (pixelWidth + pixelHeight) + pixels.byteLength);
+
+		const u8 = new Uint8Array(buffer);
+		u8.set([74, 70, 90, 83]); // "JFZS"
+		new Uint32Array(buffer, 4, 2).set([1, header.length]);
+		u8.set(header, 12);
+
+		let k = offset;
+		for (const arr of [xNearest, xScore, yNearest, yScore, pixels]) {
+			u8.set(new Uint8Array(arr.buffer, arr.byteOffset, arr.byteLength), k);
+			k += arr.byteLength;
+		}
+
+		return buffer;
+	};
+
+	/**
+	 * Decode a binary session created by `saveSession()`.
+	 * The result has the rulers and pixels of a view and can be passed to `loadSession()`.
+	 *
+	 * @param {ArrayBuffer} buffer - Session data
+	 * @return {Object|null} - Session, null if not a session
+	 */
+	this.parseSession = (buffer) => {
+
+		if (buffer.byteLength < 12 || String.fromCharCode(...new Uint8Array(buffer, 0, 4)) !== "JFZS")
+			return null;
+
+		const [version, headerLength] = new Uint32Array(buffer, 4, 2);
+		if (version !== 1 || 12 + headerLength > buffer.byteLength)
+			return null;
+
+		let session;
+		try {
+			session = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength)));
+		} catch (e) {
+			return null;
+		}
+
+		const {pixelWidth, pixelHeight, floatPixels} = session;
+
+		// test that it has the arrays
+		const offset = (12 + headerLength + 7) & ~7;
+		if (!(pixelWidth > 0) || !(pixelHeight > 0) || offset + 16 * (pixelWidth + pixelHeight) + 4 * pixelWidth * pixelHeight !== buffer.byteLength)
+			return null;
+
+		// copy as the arrays need to outlive `buffer`
+		let k = offset;
+		const extract = (type, length) => {
+			const arr = new type(buffer.slice(k, k + type.BYTES_PER_ELEMENT * length));
+			k += arr.byteLength;
+			return arr;
+		};
+
+		session.xNearest = extract(Float64Array, pixelWidth);
+		session.xScore = extract(Float64Array, pixelWidth);
+		session.yNearest = extract(Float64Array, pixelHeight);
+		session.yScore = extract(Float64Array, pixelHeight);
+		session.pixels = extract(floatPixels ? Float32Array : Uint32Array, pixelWidth * pixelHeight);
+
+		return session;
+	};
+
+	/**
+	 * Resume a session decoded by `parseSession()`.
+	 * The session becomes the key view, exact rulers and pixels are inherited so refinement continues where it stopped.
+	 * Differing dimensions (resized window, supersampling) inherit what fits.
+	 * NOTE: Application state (`onWorkerBegin()`) should be restored first.
+	 *
+	 * @param {Object} session - From `parseSession()`
+	 */
+	this.loadSession = (session) => {
+		this.floatPixels = session.floatPixels;
+
+		this.setPosition(session.centerX, session.centerY, session.radius, session.angle, session);
+	};
+
 	/**
 	 * start the state machine
 	 */
@@ -1233,9 +3337,10 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 		// change state
 		this.state = COPY;
 		this.stateStart[this.state] = performance.now();
+		this.dispatchEvent("stateChange", STOP, COPY);
 
 		// send message to start engine
-		postMessage("mainloop", "*");
+		postMessage(this.mainloopId, "*");
 	};
 
 	/**
@@ -1247,8 +3352,21 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 			return;
 
 		// change state
-		this.avgStateDuration[this.state] += ((performance.now() - this.stateStart[this.state]) - this.avgStateDuration[this.state]) * this.coef;
-		this.state = STOP;
+		this.changeState(STOP, performance.now());
+	};
+
+	/**
+	 * Set frame buffer dimensions and create views to match
+	 */
+	this.allocViews = () => {
+		const supersample = this.supersample;
+
+		this.pixelWidth = supersample * (!this.enableAngle ? this.viewWidth : Math.ceil(Math.sqrt(this.viewWidth * this.viewWidth + this.viewHeight * this.viewHeight)));
+		this.pixelHeight = !this.enableAngle ? supersample * this.viewHeight : this.pixelWidth;
+
+		this.view0 = new ZoomerView(supersample * this.viewWidth, supersample * this.viewHeight, this.pixelWidth, this.pixelHeight);
+		this.view1 = new ZoomerView(supersample * this.viewWidth, supersample * this.viewHeight, this.pixelWidth, this.pixelHeight);
+		this.calcView = (this.frameNr & 1) ? this.view1 : this.view0;
 	};
 
 	/**
@@ -1259,38 +3377,38 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	 * @param {boolean} enableAngle - Allow rotation
 	 */
 	this.resize = (viewWidth, viewHeight, enableAngle) => {
-		this.enableAngle = enableAngle;
-
-		// snap to even sizes
-		this.viewWidth = viewWidth;
-		this.viewHeight = viewHeight;
-		this.pixelWidth = !this.enableAngle ? this.viewWidth : Math.ceil(Math.sqrt(this.viewWidth * this.viewWidth + this.viewHeight * this.viewHeight));
-		this.pixelHeight = !this.enableAngle ? this.viewHeight : this.pixelWidth;
-
 		/*
 		 * dispFrame may already be on its way to the worker
 		 * create a new current frame based on the (incomplete) current
 		 */
+		this.cancelLines();
+		this.positionComplete = false;
 		const oldCalcView = this.calcView;
 
+		// snap to even sizes
+		this.enableAngle = enableAngle;
+		this.viewWidth = viewWidth;
+		this.viewHeight = viewHeight;
+
 		// create new views
-		this.view0 = new ZoomerView(this.viewWidth, this.viewHeight, this.pixelWidth, this.pixelHeight);
-		this.view1 = new ZoomerView(this.viewWidth, this.viewHeight, this.pixelWidth, this.pixelHeight);
-		this.calcView = (this.frameNr & 1) ? this.view1 : this.view0;
+		this.allocViews();
 
 		// copy the contents
 		this.calcFrame = this.allocFrame(this.viewWidth, this.viewHeight, this.pixelWidth, this.pixelHeight, this.angle);
 		this.calcView.setPosition(this.calcFrame, this.centerX, this.centerY, this.radius, oldCalcView);
 
 		// set palette
-		this.onRenderFrame(this, this.calcFrame);
+		this.dispatchEvent("renderFrame", this.calcFrame);
 
 		// render frame
 		this.calcFrame.timeExpire = 0; // disable expiration
 		zoomerRenderFrame(this.calcFrame);
 
-		// push frame into canvas
-		this.onPutImageData(this, this.calcFrame);
+		// push frame into canvas, a transferred canvas is repainted by the next frame
+		if (this.paintWorker < 0)
+			this.dispatchEvent("putImageData", this.calcFrame);
+
+		this.dispatchEvent("resize", viewWidth, viewHeight, enableAngle);
 	};
 
 	/**
@@ -1310,6 +3428,9 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 		// make local for speed
 		const view = (this.frameNr & 1) ? this.view1 : this.view0;
 
+		// deterministic mode stays in the main thread
+		const disableWW = this.disableWW || this.deterministic;
+
 		// current time
 		this.stateTicks[this.state]++;
 
@@ -1323,53 +3444,80 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 			 */
 			this.frameNr++;
 
+			// lines in flight will not make it
+			this.cancelLines();
+
 			this.dispView = this.calcView;
 			const previousFrame = this.dispView.frame;
 
+			// heat-map of the rulers the frame was constructed with
+			if (this.heatmap)
+				this.dispView.measureHeat(previousFrame);
+
+			// steer frame rate, render and paint follow construction
+			if (!this.deterministic)
+				this.controller.adjust(this, (disableWW ? this.avgStateDuration[RENDER] : this.avgRoundTrip) + this.avgStateDuration[PAINT], this.dispView);
+
 			const frame = this.allocFrame(this.viewWidth, this.viewHeight, this.pixelWidth, this.pixelHeight, this.angle);
 			frame.timeStart = now;
 
 			// set expiration time. Use `Date.now()` as that syncs with the workers
-			previousFrame.timeExpire = Date.now() + 2 * (1000 / this.frameRate);
+			previousFrame.timeExpire = this.deterministic ? Infinity : Date.now() + 2 * (1000 / this.frameRate);
 
 			// COPY (performance hit)
 			this.calcFrame = frame;
 			this.calcView = (this.frameNr & 1) ? this.view1 : this.view0;
 
 			// promote to turbo when pending. can be canceled by `onBeginFrame()` calling `setPosition()`.
-			if (this.turboActive === PENDING)
+			if (this.turboActive === PENDING && !this.deterministic)
 				this.turboActive = TURBO;
 
 			now = performance.now();
 			frame.durationCOPY = now - frame.timeStart;
-			this.onBeginFrame(this, this.calcView, this.calcView.frame, this.dispView, previousFrame);
+			this.dispatchEvent("beginFrame", this.calcView, this.calcView.frame, this.dispView, previousFrame);
+
+			// inherit from previous or a better cached view
+			const previousView = this.cacheSize ? this.cache.lookup(this.calcView, this.centerX, this.centerY, this.radius, this.dispView) : this.dispView;
+			this.calcView.setPosition(this.calcFrame, this.centerX, this.centerY, this.radius, previousView);
 
-			this.calcView.setPosition(this.calcFrame, this.centerX, this.centerY, this.radius, this.dispView);
+			// line workers for new frame
+			this.workerState = (this.lineWorkers.length && !this.deterministic) ? this.onWorkerBegin(this) : null;
 
-			if (!this.disableWW) {
+			// virtual clock ticks one frame, line budget for new frame
+			this.timeVirtual += 1000 / this.frameRate;
+			this.cntLinesLeft = this.linesPerFrame;
+
+			if (!disableWW) {
 				// RENDER `Worker` context
-				this.onRenderFrame(this, previousFrame);
+				this.dispatchEvent("renderFrame", previousFrame);
 
 				now = performance.now();
 				this.stateStart[RENDER] = now; // mark activation of worker
+				this.dispatchEvent("stateChange", COPY, RENDER, previousFrame);
 
 				// transfer frame to worker
 				previousFrame.durationRoundTrip = now;
 				previousFrame.frameNr = this.sendFrameNr++;
+				previousFrame.instanceId = this.instanceId;
+
+				// only the owner of the transferred canvas can paint
+				const i = this.paintWorker >= 0 ? this.paintWorker : this.selectWorker(this.cntWorkerFrames, this.nextWorker, Infinity);
+				this.nextWorker = (i + 1) % this.WWorkers.length;
+				previousFrame.painted = false;
+				this.cntWorkerFrames[i]++;
+
 				if (previousFrame.palette)
-					this.WWorkers[this.frameNr & 1].postMessage(previousFrame, [previousFrame.rgba.buffer, previousFrame.pixels.buffer, previousFrame.palette.buffer]);
+					this.WWorkers[i].postMessage(previousFrame, [previousFrame.rgba.buffer, previousFrame.pixels.buffer, previousFrame.palette.buffer]);
 				else
-					this.WWorkers[this.frameNr & 1].postMessage(previousFrame, [previousFrame.rgba.buffer, previousFrame.pixels.buffer]);
+					this.WWorkers[i].postMessage(previousFrame, [previousFrame.rgba.buffer, previousFrame.pixels.buffer]);
 			}
 
 			// change state
 			now = performance.now();
-			this.avgStateDuration[this.state] += ((now - this.stateStart[this.state]) - this.avgStateDuration[this.state]) * this.coef;
-			this.state = this.disableWW ? RENDER : UPDATE;
-			this.stateStart[this.state] = now;
+			this.changeState(disableWW ? RENDER : UPDATE, now);
 
 			// return and call again.
-			postMessage("mainloop", "*");
+			postMessage(this.mainloopId, "*");
 			return true;
 		}
 
@@ -1387,28 +3535,23 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 			const frame = this.dispView.frame;
 
 			// inform invoker
-			this.onRenderFrame(this, frame);
+			this.dispatchEvent("renderFrame", frame);
 
 			// render frame
 			zoomerRenderFrame(frame);
 
 			// change state
 			now = performance.now();
-			this.avgStateDuration[this.state] += ((now - this.stateStart[this.state]) - this.avgStateDuration[this.state]) * this.coef;
-			this.state = frame.durationRENDER ? PAINT : COPY; // don't paint when throttled
-			this.stateStart[this.state] = now;
+			this.changeState((frame.durationRENDER || this.deterministic) ? PAINT : COPY, now); // don't paint when throttled
 
 			if (this.state !== PAINT) {
 				// throttled
 				this.cntDropped++;
-				if (now - this.timeLastDrop > 2000) {
-					// after 2 second adaptation, if dropped lower FPS by 5%
-					this.frameRate -= this.frameRate * 0.05;
-					this.timeLastDrop = now;
-				}
+				this.controller.frameDropped(this, now);
+				this.trace.record(frame, "dropped");
 
 				// return and call again.
-				postMessage("mainloop", "*");
+				postMessage(this.mainloopId, "*");
 				return true;
 			}
 
@@ -1418,7 +3561,8 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 
 			const stime = now;
 
-			this.onPutImageData(this, frame);
+			if (this.paintWorker < 0)
+				this.dispatchEvent("putImageData", frame);
 
 			now = performance.now();
 
@@ -1433,7 +3577,7 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 			this.timeLastFrame = now;
 
 			// frame end-of-life
-			this.onEndFrame(this, frame);
+			this.dispatchEvent("endFrame", frame);
 
 			// return frame to free pool
 			this.frames.push(frame);
@@ -1441,12 +3585,10 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 
 			// state change
 			now = performance.now();
-			this.avgStateDuration[this.state] += ((now - this.stateStart[this.state]) - this.avgStateDuration[this.state]) * this.coef;
-			this.state = UPDATE;
-			this.stateStart[this.state] = now;
+			this.changeState(UPDATE, now);
 
 			// return and call again.
-			postMessage("mainloop", "*");
+			postMessage(this.mainloopId, "*");
 			return true;
 		}
 
@@ -1466,15 +3608,19 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 				nextsync = this.stateStart[COPY] + 1000 / this.frameRate - this.avgStateDuration[COPY] - this.avgStateDuration[PAINT];
 			}
 			// reduce time rendering in foreground
-			if (this.disableWW)
+			if (disableWW)
 				nextsync -= this.avgStateDuration[RENDER];
 
+			// line workers stop dispatching at end time, but dispatch for at least one slice
+			this.timeDispatchEnd = Math.max(nextsync, this.stateStart[UPDATE] + this.updateSlice);
+
 			// let it run for at least one slice
 			if (nextsync < now + this.updateSlice)
 				nextsync = now + this.updateSlice;
 
 			// promote to turbo on next frame
-			this.turboActive = PENDING;
+			if (!this.deterministic)
+				this.turboActive = PENDING;
 
 			// time of next frame
 			let etime = nextsync;
@@ -1485,6 +3631,90 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 			// update inaccurate pixels
 			const stime = now;
 			let cntUpdated = 0;
+
+			if (this.deterministic) {
+				/*
+				 * Spend the line budget, sliced to stay responsive.
+				 * COPY when spent or complete, paced by the frame rate.
+				 */
+				while (this.cntLinesLeft > 0 && now < etime) {
+					cntUpdated = view.updateLines(this);
+
+					now = performance.now();
+
+					// test for completion
+					if (!cntUpdated)
+						break;
+					this.cntLinesLeft--;
+				}
+
+				// update stats
+				frame.durationUPDATE += now - stime; // cumulative
+
+				if (!cntUpdated && this.cntLinesLeft > 0)
+					this.completeFrame(frame);
+
+				if (this.cntLinesLeft > 0 && cntUpdated) {
+					// return and call again.
+					postMessage(this.mainloopId, "*");
+					return true;
+				}
+
+				// change state
+				this.changeState(COPY, now);
+
+				// wait for next frame
+				setTimeout(() => {
+					this.stateStart[this.state] = performance.now();
+					postMessage(this.mainloopId, "*");
+				}, nextsync - now);
+				return true;
+			}
+
+			if (this.workerState) {
+				/*
+				 * Line workers calculate, results are merged when they arrive.
+				 * At end time stop dispatching, COPY when lines in flight are merged.
+				 */
+				if (now < this.timeDispatchEnd) {
+					this.dispatchLines();
+					cntUpdated = this.lines.length; // including stale occupying workers
+				} else {
+					cntUpdated = this.countLines();
+				}
+
+				now = performance.now();
+
+				// update stats
+				frame.durationUPDATE += now - stime; // cumulative
+
+				if (!cntUpdated) {
+					if (now >= this.timeDispatchEnd) {
+						// register overshoot
+						this.timeOvershoot += now - this.timeDispatchEnd;
+					}
+
+					// dispatching may have stopped before completion
+					if (!view.worstLine())
+						this.completeFrame(frame);
+
+					// change state
+					this.changeState(COPY, now);
+				}
+
+				// don't spin, wakeup at end time or poll until merged
+				if (cntUpdated && now >= this.timeDispatchEnd)
+					etime = now + this.updateSlice;
+				else
+					etime = this.timeDispatchEnd;
+				setTimeout(() => {
+					if (this.state === COPY)
+						this.stateStart[this.state] = performance.now();
+					postMessage(this.mainloopId, "*");
+				}, etime - now);
+				return true;
+			}
+
 			while (now < etime) {
 				cntUpdated = view.updateLines(this);
 
@@ -1498,6 +3728,9 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 			// update stats
 			frame.durationUPDATE += now - stime; // cumulative
 
+			if (!cntUpdated)
+				this.completeFrame(frame);
+
 			// end time reached?
 			etime = nextsync;
 			if (now >= etime || !cntUpdated) {
@@ -1507,9 +3740,7 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 				}
 
 				// change state
-				this.avgStateDuration[this.state] += ((now - this.stateStart[this.state]) - this.avgStateDuration[this.state]) * this.coef;
-				this.state = COPY;
-				this.stateStart[this.state] = now;
+				this.changeState(COPY, now);
 			}
 
 			if (!cntUpdated) {
@@ -1517,11 +3748,11 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 				const delay = (this.turboActive === TURBO);
 				setTimeout(() => {
 					this.stateStart[this.state] = performance.now();
-					postMessage("mainloop", "*");
+					postMessage(this.mainloopId, "*");
 				}, etime - now);
 			} else {
 				// return and call again.
-				postMessage("mainloop", "*");
+				postMessage(this.mainloopId, "*");
 			}
 			return true;
 		}
@@ -1539,12 +3770,117 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	 * @param {message} event
 	 */
 	this.handleMessage = (event) => {
-		if (event.source === window && event.data === "mainloop") {
+		if (event.source === window && event.data === this.mainloopId) {
 			event.stopPropagation();
 			this.mainloop();
 		}
 	};
 
+	/**
+	 * Frame rendered by web worker `i`, PAINT.
+	 * Called by `ZoomerPool`.
+	 *
+	 * @param {int}         i     - Index of web worker
+	 * @param {ZoomerFrame} frame - Rendered frame
+	 */
+	this.receiveFrame = (i, frame) => {
+		let now = performance.now();
+		frame.durationRoundTrip = now - frame.durationRoundTrip;
+
+		// update worker statistics
+		this.cntWorkerFrames[i]--;
+		this.avgWorkerRoundTrip[i] += (frame.durationRoundTrip - this.avgWorkerRoundTrip[i]) * this.coef;
+
+		if (frame.frameNr < this.recvFrameNr) {
+			// highly delayed frame, skip
+			this.cntLost++;
+			this.cntWorkerLost[i]++;
+			this.trace.record(frame, "lost");
+			this.dispatchEvent("stateChange", RENDER, COPY, frame);
+		} else if (frame.durationRENDER === 0) {
+			// throttled/dropped
+			this.cntDropped++;
+			this.cntWorkerDropped[i]++;
+			this.controller.frameDropped(this, now);
+			this.trace.record(frame, "dropped");
+			this.dispatchEvent("stateChange", RENDER, COPY, frame);
+		} else {
+			// update RENDER statistics (as-if state change)
+			this.avgStateDuration[RENDER] += (frame.durationRENDER - this.avgStateDuration[RENDER]) * this.coef;
+			this.stateStart[PAINT] = now;
+			this.dispatchEvent("stateChange", RENDER, PAINT, frame);
+
+			/*
+			 * perform PAINT, unless the worker already did
+			 */
+
+			if (!frame.painted && this.paintWorker < 0) {
+				const stime = now;
+
+				this.dispatchEvent("putImageData", frame);
+
+				now = performance.now();
+				frame.durationPAINT = now - stime;
+			}
+
+			// update statistics
+			frame.timeEnd = now;
+			this.updateStatistics(frame);
+			this.dispatchEvent("stateChange", PAINT, COPY, frame);
+		}
+
+		// update frame number
+		this.recvFrameNr = frame.frameNr;
+
+		// update actual framerate
+		if (this.timeLastFrame)
+			this.avgFrameRate += (1000 / (now - this.timeLastFrame) - this.avgFrameRate) * this.coef;
+		this.timeLastFrame = now;
+
+		// frame end-of-life
+		this.dispatchEvent("endFrame", frame);
+
+		// return frame to free pool
+		this.frames.push(frame);
+
+		// update PAINT statistics (as-if state change)
+		this.avgStateDuration[PAINT] += ((now - this.stateStart[PAINT]) - this.avgStateDuration[PAINT]) * this.coef;
+	};
+
+	/**
+	 * Line calculated by a line worker, merge.
+	 * Called by `ZoomerPool`, which dispatches more lines afterwards.
+	 *
+	 * @param {Object} lineWorker - Line worker
+	 * @param {Object} line       - Line request with results
+	 */
+	this.receiveLine = (lineWorker, line) => {
+		const stime = performance.now();
+
+		// remove from lines in flight
+		lineWorker.cntLines--;
+		lineWorker.avgRoundTrip += ((stime - line.durationRoundTrip) - lineWorker.avgRoundTrip) * this.coef;
+		for (let k = 0; k < this.lines.length; k++) {
+			if (this.lines[k].lineNr === line.lineNr) {
+				this.lines.splice(k, 1);
+				break;
+			}
+		}
+
+		if (line.generation === this.lineGeneration) {
+			const frame = this.calcView.frame;
+
+			this.calcView.mergeLine(line);
+			this.onWorkerEnd(this, line.state);
+
+			// update stats
+			frame.durationUPDATE += performance.now() - stime; // cumulative
+		} else {
+			// stale
+			lineWorker.cntDropped++;
+		}
+	};
+
 	/*
 	 * Conversion routines:
 	 * R = rotate
@@ -1564,16 +3900,18 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	 */
 	this.pixelIJtoScreenUV = (pixelI, pixelJ, angle) => {
 
+		const supersample = this.supersample;
+
 		if (!angle) {
 			// fast convert
-			const u = pixelI - ((this.pixelWidth - this.viewWidth) >> 1);
-			const v = pixelJ - ((this.pixelHeight - this.viewHeight) >> 1);
+			const u = Math.floor((pixelI - ((this.pixelWidth - supersample * this.viewWidth) >> 1)) / supersample);
+			const v = Math.floor((pixelJ - ((this.pixelHeight - supersample * this.viewHeight) >> 1)) / supersample);
 
 			return {u: u, v: v};
 		} else {
 			// move to center
-			let i = pixelI - (this.pixelWidth / 2);
-			let j = pixelJ - (this.pixelHeight / 2);
+			let i = (pixelI - (this.pixelWidth / 2)) / supersample;
+			let j = (pixelJ - (this.pixelHeight / 2)) / supersample;
 
 			// sin/cos for angle
 			const rsin = Math.sin(angle * Math.PI / 180);
@@ -1602,8 +3940,8 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	this.pixelIJtoCoordDXY = (pixelI, pixelJ) => {
 
 		// move to center
-		let i = pixelI - (this.pixelWidth >> 1);
-		let j = pixelJ - (this.pixelHeight >> 1);
+		let i = (pixelI - (this.pixelWidth >> 1)) / this.supersample;
+		let j = (pixelJ - (this.pixelHeight >> 1)) / this.supersample;
 
 		// scale and shift to coord
 		const dx = i * this.radiusViewHor / (this.viewWidth >> 1);
@@ -1653,6 +3991,20 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	 * @return {Object} - {u,v}
 	 */
 	this.coordDXYtoScreenUV = (coordDX, coordDY, angle) => {
+		const {u, v} = this.coordDXYtoScreenUVUnrounded(coordDX, coordDY, angle);
+
+		return {u: Math.round(u), v: Math.round(v)};
+	};
+
+	/**
+	 * Convert center relative coordinate dX/dY (float) to screen U/V (float) coordinate
+	 *
+	 * @param {float} coordDX
+	 * @param {float} coordDY
+	 * @param {float} [angle]
+	 * @return {Object} - {u,v}
+	 */
+	this.coordDXYtoScreenUVUnrounded = (coordDX, coordDY, angle) => {
 
 		// move to center
 		let dx = coordDX;
@@ -1678,7 +4030,7 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 		const u = dx * (this.viewWidth >> 1) / this.radiusViewHor + (this.viewWidth >> 1);
 		const v = dy * (this.viewHeight >> 1) / this.radiusViewVer + (this.viewHeight >> 1);
 
-		return {u: Math.round(u), v: Math.round(v)};
+		return {u: u, v: v};
 	};
 
 	/**
@@ -1695,8 +4047,8 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 		let dy = coordDY;
 
 		// scale and shift to pixel
-		const i = dx * (this.viewWidth >> 1) / this.radiusViewHor + (this.pixelWidth >> 1);
-		const j = dy * (this.viewHeight >> 1) / this.radiusViewVer + (this.pixelHeight >> 1);
+		const i = dx * (this.viewWidth >> 1) / this.radiusViewHor * this.supersample + (this.pixelWidth >> 1);
+		const j = dy * (this.viewHeight >> 1) / this.radiusViewVer * this.supersample + (this.pixelHeight >> 1);
 
 		return {i: Math.round(i), j: Math.round(j)};
 	};
@@ -1711,10 +4063,12 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 	 */
 	this.screenUVtoPixelIJ = (screenU, screenV, angle) => {
 
+		const supersample = this.supersample;
+
 		if (!angle) {
 			// fast convert
-			const i = screenU + ((this.pixelWidth - this.viewWidth) >> 1);
-			const j = screenV + ((this.pixelHeight - this.viewHeight) >> 1);
+			const i = screenU * supersample + ((this.pixelWidth - supersample * this.viewWidth) >> 1);
+			const j = screenV * supersample + ((this.pixelHeight - supersample * this.viewHeight) >> 1);
 
 			return {i: i, j: j};
 		} else {
@@ -1735,13 +4089,98 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 			}
 
 			// scale and shift to pixel
-			const i = u + (this.pixelWidth >> 1);
-			const j = v + (this.pixelHeight >> 1);
+			const i = u * supersample + (this.pixelWidth >> 1);
+			const j = v * supersample + (this.pixelHeight >> 1);
 
 			return {i: Math.round(i), j: Math.round(j)};
 		}
 	};
 
+	/*
+	 * Absolute coordinates, for overlays, probes and exporters.
+	 * Screen U/V are canvas pixels, client X/Y are CSS pixels relative to the canvas (see `devicePixelRatio`).
+	 * Coordinates are in the same space as `setPosition()`, using the current position and `angle`.
+	 * Results are not rounded.
+	 */
+
+	/**
+	 * Convert screen U/V to absolute coordinate X/Y
+	 *
+	 * @param {float} screenU
+	 * @param {float} screenV
+	 * @return {Object} - {x,y}
+	 */
+	this.screenUVtoCoordXY = (screenU, screenV) => {
+		const {dx, dy} = this.screenUVtoCoordDXY(screenU, screenV, this.angle);
+
+		return {x: this.centerX + dx, y: this.centerY + dy};
+	};
+
+	/**
+	 * Convert absolute coordinate X/Y to screen U/V
+	 *
+	 * @param {float} coordX
+	 * @param {float} coordY
+	 * @return {Object} - {u,v}
+	 */
+	this.coordXYtoScreenUV = (coordX, coordY) => {
+		return this.coordDXYtoScreenUVUnrounded(coordX - this.centerX, coordY - this.centerY, this.angle);
+	};
+
+	/**
+	 * Convert client X/Y (CSS pixels) to absolute coordinate X/Y
+	 *
+	 * @param {float} clientX - Relative to the canvas
+	 * @param {float} clientY - Relative to the canvas
+	 * @return {Object} - {x,y}
+	 */
+	this.clientXYtoCoordXY = (clientX, clientY) => {
+		return this.screenUVtoCoordXY(clientX * this.devicePixelRatio, clientY * this.devicePixelRatio);
+	};
+
+	/**
+	 * Convert absolute coordinate X/Y to client X/Y (CSS pixels)
+	 *
+	 * @param {float} coordX
+	 * @param {float} coordY
+	 * @return {Object} - {clientX,clientY}, relative to the canvas
+	 */
+	this.coordXYtoClientXY = (coordX, coordY) => {
+		const {u, v} = this.coordXYtoScreenUV(coordX, coordY);
+
+		return {clientX: u / this.devicePixelRatio, clientY: v / this.devicePixelRatio};
+	};
+
+	/**
+	 * Visible region as rotated rectangle
+	 *
+	 * @return {Object} - {centerX,centerY,radiusX,radiusY,angle,corners,minX,minY,maxX,maxY}
+	 * 	`radiusX/radiusY` are half the width/height before rotation.
+	 * 	`corners` are the {x,y} of the screen corners, clockwise from top-left.
+	 * 	`minX/minY/maxX/maxY` is the bounding box of the corners.
+	 */
+	this.visibleRegion = () => {
+		const corners = [
+			this.screenUVtoCoordXY(0, 0),
+			this.screenUVtoCoordXY(this.viewWidth, 0),
+			this.screenUVtoCoordXY(this.viewWidth, this.viewHeight),
+			this.screenUVtoCoordXY(0, this.viewHeight)
+		];
+
+		return {
+			centerX: this.centerX,
+			centerY: this.centerY,
+			radiusX: this.radiusViewHor,
+			radiusY: this.radiusViewVer,
+			angle: this.angle,
+			corners: corners,
+			minX: Math.min(...corners.map((corner) => corner.x)),
+			minY: Math.min(...corners.map((corner) => corner.y)),
+			maxX: Math.max(...corners.map((corner) => corner.x)),
+			maxY: Math.max(...corners.map((corner) => corner.y))
+		};
+	};
+
 	/**
 	 * Global constructor
 	 */
@@ -1749,101 +4188,52 @@ function Zoomer(viewWidth, viewHeight, enableAngle, options) {
 		// import options
 		Object.assign(this, options);
 
+		// performance trace depends on options
+		this.trace = new ZoomerTrace(this.traceSize);
+
+		// frame buffer depends on options
+		this.allocViews();
 
 		// set initial dummy frame
 		this.calcFrame = this.allocFrame(1, 1, 1, 1, 0);
 		this.calcView.setPosition(this.calcFrame, 0, 0, 0, null);
 
+		// cache completed views
+		this.addEventListener("frameComplete", (zoomer, frame) => {
+			this.cache.store(this.calcView, this.cacheSize);
+		});
+
 		/*
 		 * Message queue listener for time-slicing.
 		 */
+		this.instanceId = ++Zoomer.cntInstances;
+		this.mainloopId = "mainloop" + this.instanceId;
 		addEventListener("message", this.handleMessage);
 
 		/*
-		 * create 2 workers
+		 * Web workers, shared with other instances when `pool` is supplied.
 		 */
+		if (!this.pool)
+			this.pool = new ZoomerPool();
+		this.pool.attach(this);
 
-		if (!this.disableWW) {
-			let dataObj = "( function () { \n";
-			dataObj += zoomerMemcpy;
-			dataObj += "\n";
-			dataObj += zoomerRenderFrame;
-			dataObj += "\n";
-			dataObj += "addEventListener(\"message\", (e) => { \n";
-			dataObj += "const frame = e.data;\n";
-			dataObj += "zoomerRenderFrame(frame);\n";
-			dataObj += "if (frame.palette)\n";
-			dataObj += "  postMessage(frame, [frame.rgba.buffer, frame.pixels.buffer, frame.palette.buffer]);\n";
-			dataObj += "else\n";
-			dataObj += "  postMessage(frame, [frame.rgba.buffer, frame.pixels.buffer]);\n";
-			dataObj += "})})()\n";
-
-			const blob = new Blob([dataObj]);
-			const blobURL = (URL ? URL : webkitURL).createObjectURL(blob);
-
-			// create workers
-			for (let i = 0; i < 2; i++) {
-				this.WWorkers[i] = new Worker(blobURL);
-
-				this.WWorkers[i].addEventListener("message", (e) => {
-					/** @var {ZoomerFrame} */
-					const frame = e.data;
-
-					let now = performance.now();
-					frame.durationRoundTrip = now - frame.durationRoundTrip;
-
-					if (frame.frameNr < this.recvFrameNr) {
-						// highly delayed frame, skip
-						this.cntLost++;
-					} else if (frame.durationRENDER === 0) {
-						// throttled/dropped
-						this.cntDropped++;
-						if (now - this.timeLastDrop > 2000) {
-							// after 2 second adaptation, if dropped lower FPS by 5%
-							this.frameRate -= this.frameRate * 0.05;
-							this.timeLastDrop = now;
-						}
-					} else {
-						// update RENDER statistics (as-if state change)
-						this.avgStateDuration[RENDER] += (frame.durationRENDER - this.avgStateDuration[RENDER]) * this.coef;
-						this.stateStart[PAINT] = now;
-
-						/*
-						 * perform PAINT
-						 */
-
-						const stime = now;
-
-						this.onPutImageData(this, frame);
-
-						now = performance.now();
-
-						// update statistics
-						frame.timeEnd = now;
-						frame.durationPAINT = now - stime;
-						this.updateStatistics(frame);
-					}
-
-					// update frame number
-					this.recvFrameNr = frame.frameNr;
-
-					// update actual framerate
-					if (this.timeLastFrame)
-						this.avgFrameRate += (1000 / (now - this.timeLastFrame) - this.avgFrameRate) * this.coef;
-					this.timeLastFrame = now;
-
-					// frame end-of-life
-					this.onEndFrame(this, frame);
-
-					// return frame to free pool
-					this.frames.push(frame);
-
-					// update PAINT statistics (as-if state change)
-					this.avgStateDuration[PAINT] += ((now - this.stateStart[PAINT]) - this.avgStateDuration[PAINT]) * this.coef;
+		/*
+		 * Paint from a render worker. Instances sharing a pool spread their canvases over the workers.
+		 * Deterministic mode renders in the main thread, it keeps the canvas.
+		 */
+		if (this.offscreenCanvas && this.WWorkers.length && this.offscreenCanvas.transferControlToOffscreen && !this.deterministic) {
+			const canvas = this.offscreenCanvas.transferControlToOffscreen();
 
-				});
-			}
+			this.paintWorker = (this.instanceId - 1) % this.WWorkers.length;
+			this.WWorkers[this.paintWorker].postMessage({instanceId: this.instanceId, canvas: canvas}, [canvas]);
 		}
 	}
 
 }
+
+/**
+ * Number of `Zoomer` instances created, for `instanceId`
+ *
+ * @type {int}
+ */
+Zoomer.cntInstances = 0;